@@ -0,0 +1,157 @@
+
+/**
+  * `AnchorMixin`
+  *
+  *   Bottom/right anchored mode for `lite-list`, for chat and activity logs.
+  *
+  *   When 'anchor' is set to 'end', the list starts scrolled to its last item,
+  *   stays pinned to the end as new items are appended (as long as it
+  *   was already scrolled to the end), and keeps the viewport stable
+  *   when older items are prepended.
+  *
+  *   Prepended items are detected by finding the prior first item in
+  *   the updated 'items', by key when 'itemKey' is set, otherwise by identity.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    anchor - String - Valid values: 'start' (default), 'end'
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const AnchorMixin = superClass => {
+
+  return class AnchorMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Set to 'end' to anchor the list to its last item.
+        anchor: {
+          type: String,
+          value: 'start', // Or 'end'.
+          reflectToAttribute: true
+        },
+
+        // The first item, or its key, prior to the latest change to 'items'.
+        _anchorFirst: Object,
+
+        // Only start at the end once.
+        _anchorInitialized: Boolean,
+
+        // The length of 'items' prior to the latest change.
+        _anchorLength: Number,
+
+        // Whether the list is currently scrolled to the end.
+        _atEnd: Boolean
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__anchorItemsChanged(anchor, _items.*)',
+        '__anchorMeasured(anchor, _sampleSize, _containers)',
+        '__updateAtEnd(anchor, _scroll)'
+      ];
+    }
+
+
+    async __anchorMeasured(anchor, size, containers) {
+
+      if (
+        anchor !== 'end'        ||
+        this._anchorInitialized ||
+        !size                   ||
+        !containers?.length     ||
+        !this._items?.length
+      ) {
+        return;
+      }
+
+      this._anchorInitialized = true;
+
+      await schedule(); // Wait for DOM rendering to settle.
+
+      await this.moveToIndex(this._items.length - 1, 'end');
+
+      this._atEnd = true;
+    }
+
+
+    __anchorItemsChanged(anchor, changeRecord) {
+
+      // Ignore changes to individual item properties.
+      if (changeRecord.path !== '_items' && changeRecord.path !== '_items.splices') { return; }
+
+      const items      = this._items;
+      const length     = items?.length || 0;
+      const previous   = this._anchorFirst;
+      const prevLength = this._anchorLength || 0;
+
+      this._anchorLength = length;
+      this._anchorFirst  = length ? this.__getItemId(items[0], 0) : undefined;
+
+      if (anchor !== 'end' || !this._anchorInitialized || !prevLength || length <= prevLength) { return; }
+
+      // Only the newly added number of items need be searched.
+      const added     = length - prevLength;
+      const prepended = items.
+                          slice(0, added + 1).
+                          findIndex((item, index) =>
+                            this.__getItemId(item, index) === previous);
+
+      if (prepended > 0) {
+
+        this.__keepPosition(prepended);
+      }
+      else if (this._atEnd) {
+
+        this.moveToIndex(length - 1, 'end');
+      }
+    }
+
+    // Keep the same items in view after items are prepended.
+    async __keepPosition(count) {
+
+      const {index, offset} = this.getScrollState();
+
+      await schedule(); // Wait for new items to be stamped.
+
+      this.__scrollToIndex(index + count, 'start', 'instant');
+
+      if (offset) {
+        this.__shiftScroll(offset);
+      }
+
+      return this.__reposition();
+    }
+
+
+    __updateAtEnd(anchor, scroll) {
+
+      if (anchor !== 'end' || typeof scroll !== 'number' || !this._hostSize) { return; }
+
+      const scrolled  = scroll - this.__getListStart() + this._hostSize;
+      const remaining = this.__getListSize() - scrolled;
+
+      // Within half of an item from the end.
+      this._atEnd = remaining <= (this._sampleSize || 0) / 2;
+    }
+
+  };
+};
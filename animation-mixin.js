@@ -0,0 +1,237 @@
+
+/**
+  * `AnimationMixin`
+  *
+  *   Enter, exit and move animations for `lite-list` items.
+  *
+  *   When 'items' changes, the positions of the currently displayed items
+  *   are captured before they are remapped to containers. Then, after
+  *   rendering, each item is animated from its prior position to its new one
+  *   (FLIP), keyed by item identity, or by key when 'itemKey' is set.
+  *
+  *   Animations use the individual 'translate' and 'scale' properties,
+  *   so they compose with the 'transform' that positions each container,
+  *   and never affect the cached 'previous' container offsets.
+  *
+  *   Exiting items are animated with a temporary copy of their element,
+  *   since their containers are immediately reused.
+  *
+  *   No animations are run when the user prefers reduced motion.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    animate - Boolean - Set to animate item insertions, removals and moves.
+  *
+  *
+  *    animationDuration - Number - Default: 250, Milliseconds.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+const EASING = 'cubic-bezier(0.333, 0, 0, 1)';
+
+
+const prefersReducedMotion = () =>
+  window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+
+const intersects = (rect, bounds) =>
+  rect.bottom > bounds.top    &&
+  rect.top    < bounds.bottom &&
+  rect.right  > bounds.left   &&
+  rect.left   < bounds.right;
+
+
+export const AnimationMixin = superClass => {
+
+  return class AnimationMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Set to animate item insertions, removals and moves.
+        animate: Boolean,
+
+        // Milliseconds.
+        animationDuration: {
+          type: Number,
+          value: 250
+        },
+
+        // The 'items' array, and its length, as of the last update.
+        // Used to differentiate changes to 'items' from recycling.
+        _animationItems: Array,
+
+        _animationLength: Number
+
+      };
+    }
+
+
+    __getSlotted(containerIndex) {
+
+      return this.querySelector(`[slot="slot-${containerIndex}"]`);
+    }
+
+    // Returns a Map of item identity to prior position,
+    // or undefined when no animations are needed.
+    __captureFirst() {
+
+      const changed = this._items !== this._animationItems ||
+                      this._items?.length !== this._animationLength;
+
+      if (
+        !this.animate       ||
+        !changed            ||
+        !this._currentItems ||
+        !this._containers   ||
+        prefersReducedMotion()
+      ) {
+        return;
+      }
+
+      const bounds = this.__getViewportBounds();
+      const first  = new Map();
+
+      this._containers.forEach(container => {
+
+        const item  = this._currentItems[container.index];
+        const index = container.virtualIndex;
+
+        if (item === undefined || typeof index !== 'number') { return; }
+
+        const rect    = container.getBoundingClientRect();
+        const visible = intersects(rect, bounds);
+        const el      = visible ? this.__getSlotted(container.index) : undefined;
+
+        // Copy the element now, before it's updated with new data.
+        const ghost = el?.cloneNode(true);
+
+        first.set(this.__getItemId(item, index), {ghost, rect});
+      });
+
+      return first;
+    }
+
+
+    __animationOptions() {
+
+      return {duration: this.animationDuration, easing: EASING};
+    }
+
+
+    __enter(container) {
+
+      container.animate([
+        {opacity: 0, scale: '0.9'},
+        {opacity: 1, scale: '1'}
+      ], this.__animationOptions());
+    }
+
+    // Use a copy of the exiting element, since
+    // its container is being reused for other data.
+    async __exit({ghost, rect}) {
+
+      if (!ghost) { return; }
+
+      ghost.setAttribute('slot', 'exiting');
+
+      Object.assign(ghost.style, {
+        height:        `${rect.height}px`,
+        left:          `${rect.left}px`,
+        margin:        '0px',
+        pointerEvents: 'none',
+        position:      'fixed',
+        top:           `${rect.top}px`,
+        width:         `${rect.width}px`
+      });
+
+      this.appendChild(ghost);
+
+      const animation = ghost.animate([
+        {opacity: 1, scale: '1'},
+        {opacity: 0, scale: '0.9'}
+      ], this.__animationOptions());
+
+      try {
+        await animation.finished;
+      }
+      catch (_) { /* Cancelled. */ }
+      finally {
+        ghost.remove();
+      }
+    }
+
+
+    __moveFrom(container, from, to) {
+
+      const x = from.left - to.left;
+      const y = from.top  - to.top;
+
+      if (!x && !y) { return; }
+
+      // Added to the static 'translate', which
+      // offsets the items for the 'loading' slot.
+      container.animate([
+        {translate: `${x}px ${y}px`},
+        {translate: '0px 0px'}
+      ], {...this.__animationOptions(), composite: 'add'});
+    }
+
+
+    async __playAnimations(first) {
+
+      this._animationItems  = this._items;
+      this._animationLength = this._items?.length;
+
+      if (!first) { return; }
+
+      await schedule(); // Wait for the repeater to render new data.
+
+      const seen = new Set();
+
+      this._containers.forEach(container => {
+
+        const item  = this._currentItems[container.index];
+        const index = container.virtualIndex;
+
+        if (item === undefined || typeof index !== 'number') { return; }
+
+        const id    = this.__getItemId(item, index);
+        const prior = first.get(id);
+
+        if (!prior) {
+
+          this.__enter(container);
+
+          return;
+        }
+
+        seen.add(id);
+
+        this.__moveFrom(container, prior.rect, container.getBoundingClientRect());
+      });
+
+      first.forEach((prior, id) => {
+
+        if (!seen.has(id)) {
+          this.__exit(prior);
+        }
+      });
+    }
+
+  };
+};
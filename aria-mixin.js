@@ -0,0 +1,82 @@
+
+/**
+  * `AriaMixin`
+  *
+  *   List semantics for the virtualized content of `lite-list`.
+  *
+  *   Only a subset of items are stamped at any given time, so each
+  *   container is labeled with the position of the item it currently
+  *   displays ('aria-posinset'), relative to the entire 'items'
+  *   collection ('aria-setsize').
+  *
+  *   Multi column/row layouts use 'list' semantics as well. 'grid' semantics
+  *   require each 'gridcell' to be owned by a 'row' element, but containers
+  *   are recycled individually, as direct children of the grid, so they
+  *   cannot be grouped into rows.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+export const AriaMixin = superClass => {
+
+  return class AriaMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        _ariaRole: {
+          type: String,
+          value: 'list'
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__updateHostAria(_ariaRole, _items.length, _infinite)',
+
+        // '_currentItems' only used as a synchronization trigger,
+        // since it changes each time data is remapped to containers.
+        '__updateContainersAria(_ariaRole, _currentItems, _containers)'
+      ];
+    }
+
+
+    __updateHostAria(role) {
+
+      if (!role) { return; }
+
+      this.setAttribute('role', role);
+    }
+
+
+    __updateContainersAria(role, _, containers) {
+
+      if (!role || !containers?.length) { return; }
+
+      // Total is unknown when 'infinite'.
+      const setsize = this._infinite ? -1 : this._items?.length;
+
+      containers.forEach(container => {
+
+        const index = container.virtualIndex;
+
+        if (typeof index !== 'number') { return; }
+
+        container.setAttribute('role',          'listitem');
+        container.setAttribute('aria-setsize',  setsize);
+        container.setAttribute('aria-posinset', index + 1);
+      });
+    }
+
+  };
+};
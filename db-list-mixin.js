@@ -14,6 +14,13 @@
   *
   *
   *    
+  *     anchor - String - Set to 'end' for chat-like lists, along with the
+  *                       matching 'lite-list' 'anchor' property.
+  *                       The latest batch is loaded first, newer entries
+  *                       are appended live, and older batches are prepended
+  *                       as the user scrolls toward the start.
+  *
+  *
   *     coll - String - Firestore 'coll' collection access string.
   * 
   * 
@@ -34,6 +41,20 @@
   *
   *
   *
+  *  Methods:
+  *
+  *
+  *
+  *     getScrollState() - 'lite-list' scroll state, plus the path of the anchor
+  *                        item's db doc, which is needed to resume pagination.
+  *                        Serializable, so it can be persisted.
+  *
+  *
+  *     restoreScrollState(state) - Re-fetches the anchor db doc and primes the list
+  *                                 with it, then restores the 'lite-list' scroll position.
+  *
+  *
+  *
   * 
   *  Example:
   * 
@@ -68,6 +89,8 @@ import {schedule} from '@longlost/app-core/utils.js';
 
 import {
   collection,
+  doc,
+  getDoc,
   initDb,
   limit,
   onSnapshot,
@@ -78,6 +101,31 @@ import {
 import '@longlost/app-lists/lite-list.js';
 
 
+// Snapshots are not true arrays. So make one.
+//
+// Filter out orphaned data that may have been caused
+// by deletions prior to cloud processing completion.
+const getResults = snapshot => {
+
+  const results = [];
+
+  snapshot.forEach(d => results.push({data: d.data(), doc: d}));
+
+  return results.filter(obj => obj.data.uid);
+};
+
+// Resolves with the first set of results, then unsubscribes.
+const fetchOnce = q => new Promise((resolve, reject) => {
+
+  const unsubscribe = onSnapshot(q, snapshot => {
+
+    unsubscribe();
+
+    resolve(getResults(snapshot));
+  }, reject);
+});
+
+
 const getQueryConstraints = ({
   batchSize, 
   constraints, 
@@ -112,6 +160,13 @@ export const DbListMixin = superClass => {
     static get properties() {
       return {
 
+        // Set to 'end' for chat-like lists, along with 
+        // the matching 'lite-list' 'anchor' property.
+        anchor: {
+          type: String,
+          value: 'start' // Or 'end'.
+        },
+
         // Firestore coll path string.
         coll: String,
 
@@ -188,6 +243,14 @@ export const DbListMixin = superClass => {
           computed: '__computeLag(_pagination.direction, _visibleCount)'
         },
 
+        // Incremented each time '__updateLatestItems' runs, so late
+        // returning latest and older fetches from prior runs are ignored.
+        // Only used when 'anchor' is 'end'.
+        _latestRun: {
+          type: Number,
+          value: 0
+        },
+
         // To be used by implementation to drive 'lite-list'.items property.
         _listItems: Array, // Initializing as undefined is required.
 
@@ -232,6 +295,10 @@ export const DbListMixin = superClass => {
           observer: '__resultsCountChanged'
         },
 
+        // The oldest entry has been loaded.
+        // Only used when 'anchor' is 'end'.
+        _startDetected: Boolean,
+
         // Services/Firestore subscription unsubscribe function.
         _unsubscribe: Object,
 
@@ -246,7 +313,9 @@ export const DbListMixin = superClass => {
 
     static get observers() {
       return [
-        '__updateItems(visible, constraints, reverseConstraints, _ref, _batchSize, _index)'
+        '__updateItems(visible, constraints, reverseConstraints, _ref, _batchSize, _index)',
+        '__updateLatestItems(anchor, visible, constraints, reverseConstraints, _ref, _batchSize)',
+        '__updateOlderItems(anchor, _pagination)'
       ];
     }
 
@@ -355,7 +424,7 @@ export const DbListMixin = superClass => {
 
       const {itemBbox, parentBbox, per} = pagination;
 
-      const dim      = layout === 'vertical' ? 'height' : 'width';
+      const dim      = layout !== 'horizontal' ? 'height' : 'width';
       const sections = Math.ceil(parentBbox[dim] / itemBbox[dim]);
 
       return sections * per;
@@ -432,6 +501,9 @@ export const DbListMixin = superClass => {
     // Start a subscription to file data changes.
     __updateItems(visible, constraints, reverseConstraints, ref, batchSize, index) {
 
+      // Handled by '__updateLatestItems' and '__updateOlderItems'.
+      if (this.anchor === 'end') { return; }
+
       const doc = this._listItems?.at(index)?.doc;
 
       if (
@@ -459,14 +531,11 @@ export const DbListMixin = superClass => {
       this.__garbageCollect(index, direction, batchSize);
 
 
-      const callback = raw => {
+      const callback = validResults => {
 
         // Check for any late returning results that are from prior subs.
         if (index !== this._index) { return; }
 
-        // Filter out orphaned data that may have been caused
-        // by deletions prior to cloud processing completion.
-        const validResults = raw.filter(obj => obj.data.uid);
         const results      = direction === 'reverse' ? 
                                validResults.reverse() :
                                validResults;
@@ -532,10 +601,7 @@ export const DbListMixin = superClass => {
 
         if (snapshot.exists || ('empty' in snapshot && snapshot.empty === false)) {
 
-          const results = [];
-
-          // Snapshots are not true arrays. So make one.
-          snapshot.forEach(d => results.push({data: d.data(), doc: d}));
+          const results = getResults(snapshot);
 
           await schedule(); // Smooths jank.
 
@@ -548,6 +614,160 @@ export const DbListMixin = superClass => {
     }
 
 
+    // Anchored to the end (ie. chat).
+    //
+    // Load the latest batch, then subscribe to 
+    // the newest entry and the ones that come after it.
+    async __updateLatestItems(anchor, visible, constraints, reverseConstraints, ref, batchSize) {
+
+      if (
+        anchor !== 'end'            ||
+        !constraints?.length        ||
+        !reverseConstraints?.length ||
+        !ref                        ||
+        !batchSize
+      ) { 
+        return; 
+      }
+
+      // Cancel previous subscription.
+      this.__unsub();
+
+      this._latestRun += 1;
+
+      const run = this._latestRun;
+
+      // Don't start a new subscription if not in use or not visible.
+      if (!visible) {
+
+        this._busy = false; // Any pending fetch is superseded.
+
+        return;
+      }
+
+      try {
+
+        this._busy = true;
+
+        if (!Array.isArray(this._listItems)) {
+
+          const q       = queryColl(ref, ...reverseConstraints, limit(batchSize));
+          const results = await fetchOnce(q);
+
+          // Superseded by a later run while fetching.
+          if (run !== this._latestRun) { return; }
+
+          this._startDetected = results.length < batchSize;
+
+          // Results are newest first.
+          this.set('_listItems', results.reverse());
+        }
+
+        this.__subscribeLatest(ref, constraints, batchSize);
+      }
+      catch (error) {
+        console.error(error);
+      }
+      finally {
+
+        if (run === this._latestRun) {
+          this._busy = false;
+        }
+      }
+    }
+
+    // Anchored to the end (ie. chat).
+    //
+    // The live query is bounded to one batch after the newest entry.
+    // Once that batch fills up, resubscribe from the new newest entry.
+    __subscribeLatest(ref, constraints, batchSize) {
+
+      this.__unsub();
+
+      const newest       = this._listItems.at(-1)?.doc;
+      const qConstraints = newest ? [...constraints, startAt(newest)] : [...constraints];
+
+      // One extra, since 'startAt' is inclusive of 'newest'.
+      const count = batchSize + 1;
+      const q     = queryColl(ref, ...qConstraints, limit(count));
+
+      this._unsubscribe = onSnapshot(q, snapshot => {
+
+        const results = getResults(snapshot);
+        const firstId = results.at(0)?.doc.id;
+        const found   = firstId ? 
+                          this._listItems.findIndex(item => item?.doc?.id === firstId) : 
+                          -1;
+
+        // Replace the newest entries with any updates, 
+        // and append any entries that come after.
+        const start = found === -1 ? this._listItems.length : found;
+
+        this.splice('_listItems', start, this._listItems.length - start, ...results);
+
+        if (results.length === count) {
+          this.__subscribeLatest(ref, constraints, batchSize);
+        }
+      }, error => {
+        console.error(error);
+      });
+    }
+
+    // Anchored to the end (ie. chat).
+    //
+    // Prepend the previous batch when nearing the start of the list.
+    async __updateOlderItems(anchor, pagination) {
+
+      if (
+        anchor !== 'end'                    ||
+        !pagination                         ||
+        this._busy                          ||
+        this._startDetected                 ||
+        !Array.isArray(this._listItems)     ||
+        pagination.index > this._resolution
+      ) { 
+        return; 
+      }
+
+      const oldest = this._listItems.at(0)?.doc;
+
+      if (!oldest) { return; }
+
+      const run = this._latestRun;
+
+      try {
+
+        this._busy = true;
+
+        // One extra, since 'startAt' is inclusive of 'oldest'.
+        const q       = queryColl(this._ref, ...this.reverseConstraints, startAt(oldest), limit(this._batchSize + 1));
+        const results = await fetchOnce(q);
+
+        // Superseded by a later run, or 'items' were replaced, while fetching.
+        if (run !== this._latestRun || this._listItems?.at(0)?.doc?.id !== oldest.id) { return; }
+
+        const older = results.filter(obj => obj.doc.id !== oldest.id).reverse();
+
+        this._startDetected = older.length < this._batchSize;
+
+        if (older.length) {
+
+          // 'lite-list' keeps the viewport stable when 'anchor' is 'end'.
+          this.splice('_listItems', 0, 0, ...older);
+        }
+      }
+      catch (error) {
+        console.error(error);
+      }
+      finally {
+
+        if (run === this._latestRun) {
+          this._busy = false;
+        }
+      }
+    }
+
+
     __unsub() {
 
       if (this._unsubscribe) {
@@ -579,6 +799,14 @@ export const DbListMixin = superClass => {
       const pagination = event.detail.value;
       const {count, direction, index, per} = pagination;
 
+      // Older batches are loaded by '__updateOlderItems'.
+      if (this.anchor === 'end') {
+
+        this._pagination = pagination;
+
+        return;
+      }
+
       // At the end of the camera roll. Done paginating.
       if (this._endDetected && index >= this._pagination?.index) {
         return;
@@ -667,18 +895,80 @@ export const DbListMixin = superClass => {
     // Then, move to the desired item index.
     moveTo(index, tempIndex, tempItems) {
 
-      if (typeof tempIndex === 'number' && Array.isArray(tempItems)) {
+      this.__primeItems(index, tempIndex, tempItems);
+
+      const moveTo = this.__findScrollerMoveTo();
+
+      return moveTo(index);
+    }
+
+    // Prepare for 'doc' reference reads which are used for pagination.
+    __primeItems(index, tempIndex, tempItems) {
+
+      if (typeof tempIndex !== 'number' || !Array.isArray(tempItems)) { return; }
 
-        const start = index - tempIndex;
+      const start = index - tempIndex;
 
-        // Prepare for 'doc' reference reads which are used for pagination.
-        this.splice('_listItems', start, tempItems.length, ...tempItems);
+      if (!Array.isArray(this._listItems)) {
+        this.set('_listItems', []);
       }
 
-      const moveTo = this.__findScrollerMoveTo();
+      const {length} = this._listItems;
 
-      return moveTo(index);
-    }   
+      // Place the docs at their original indexes.
+      if (length < start) {
+        this.push('_listItems', ...Array(start - length).fill(undefined));
+      }
+
+      this.splice('_listItems', start, tempItems.length, ...tempItems);
+    }
+
+    // Returns the 'lite-list' scroll state, along with the path
+    // of the anchor item's doc, which is used to restart 
+    // pagination from the anchor item.
+    //
+    // Only plain values are included, so the state can be persisted.
+    getScrollState() {
+
+      const state   = this.select('lite-list').getScrollState();
+      const docPath = this._listItems?.at(state.index)?.doc?.ref?.path;
+
+      if (!docPath) { return state; }
+
+      return {...state, docPath};
+    }
+
+    // Re-fetch the anchor doc and prime '_listItems' with it
+    // so pagination can resume from the saved position,
+    // then restore the 'lite-list' scroll position.
+    async restoreScrollState(state) {
+
+      if (!state) { return; }
+
+      const {docPath, index} = state;
+
+      if (docPath && typeof index === 'number') {
+
+        try {
+
+          const db       = this._db || await initDb();
+          const snapshot = await getDoc(doc(db, docPath));
+
+          // The anchor item may have been deleted since.
+          if (snapshot.exists()) {
+
+            this.__primeItems(index, 0, [{data: snapshot.data(), doc: snapshot}]);
+
+            await schedule(); // Wait for 'lite-list' to update.
+          }
+        }
+        catch (error) {
+          console.error(error);
+        }
+      }
+
+      return this.select('lite-list').restoreScrollState(state);
+    }
 
   };
 };
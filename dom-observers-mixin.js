@@ -4,12 +4,28 @@
   * 
   *   Intersection and Resize Observer api logic for `lite-list`.
   *
+  *   'horizontal' layouts follow the host's writing direction. In right-to-left
+  *   documents, items flow toward the left and 'scrollLeft' is negative, so
+  *   scroll positions and rects are converted to logical values, which grow
+  *   in the scrolling direction, before any recycling math is applied.
+  *   Changes to any 'dir' attribute, in the document or the shadow roots
+  *   that contain the host, are observed, so direction can change at runtime.
+  *
   *
   *
   *  Properites:
   *
   *
+  *    columns - Number or Object - Items per row, or a map of minimum host widths
+  *                                 to counts, ie. {0: 1, 600: 2, 1024: 4}.
+  *
+  *
+  *    gap - Number - Default: 0, Space between items, in pixels.
+  *
   *    
+  *    scrollTarget - Element or String - The element that scrolls a 'vertical' layout.
+  *                                       An element, 'host' for `lite-list` itself,
+  *                                       or undefined for the window.
   *
   *
   *
@@ -71,6 +87,21 @@ export const DomObserversMixin = superClass => {
     static get properties() {
       return {
 
+        // Number of items per row ('vertical' and 'masonry' layouts), 
+        // or per column ('horizontal' layouts).
+        //
+        // A Number, or an Object that maps minimum host widths 
+        // to counts, ie. {0: 1, 600: 2, 1024: 4}.
+        //
+        // Inferred from the size of the first item when not set.
+        columns: Object,
+
+        // Space between items, in pixels.
+        gap: {
+          type: Number,
+          value: 0
+        },
+
         // The collection used to 'hydrate' each repeated element.
         //
         // Indirectly drives repeater.
@@ -80,9 +111,10 @@ export const DomObserversMixin = superClass => {
         items: Array,
 
         // Determines whether the list should scroll vertically or horizontally.
+        // 'masonry' layouts scroll vertically.
         layout: {
           type: String,
-          value: 'vertical', // Or 'horizontal'.
+          value: 'vertical', // Or 'horizontal', 'masonry'.
           reflectToAttribute: true
         },
 
@@ -109,6 +141,14 @@ export const DomObserversMixin = superClass => {
           value: 4
         },
 
+        // The element that scrolls a 'vertical' layout.
+        //
+        // An element, 'host' for the `lite-list` element itself,
+        // or undefined for the window.
+        //
+        // 'horizontal' layouts always scroll the host element.
+        scrollTarget: Object,
+
         // Public override for the internally computed value.
         // Same as IntersectionObserver Api's 'threshold' option
         // with the exception that array values here are prohibited.
@@ -117,10 +157,16 @@ export const DomObserversMixin = superClass => {
           value: 1,
         },
 
+        // The resolved 'columns' count for the current host width.
+        _columnCount: {
+          type: Number,
+          computed: '__computeColumnCount(columns, _hostBbox)'
+        },
+
         _containerCount: {
           type: Number,
           value: 1,
-          computed: '__computeContainerCount(items.length, _maxContainerCount)'
+          computed: '__computeContainerCount(_items.length, _maxContainerCount, _renderingAll)'
         },
 
         // Wrapper elements for repeated slots.
@@ -134,7 +180,7 @@ export const DomObserversMixin = superClass => {
         // Containers per row for 'vertical' layouts, or per column for 'horizontal'.
         _containersPer: {
           type: Number,
-          computed: '__computeContainersPer(layout, _hostBbox, _sampleBbox)'
+          computed: '__computeContainersPer(layout, _hostBbox, _sampleBbox, _columnCount, gap, variable)'
         },
 
         _dimension: {
@@ -143,6 +189,13 @@ export const DomObserversMixin = superClass => {
           computed: '__computeDimension(layout)'
         },
 
+        // The host's computed writing direction, 'ltr' or 'rtl'.
+        // Updated when any 'dir' attribute changes.
+        _dir: String,
+
+        // Watches for 'dir' attribute changes.
+        _dirObserver: Object,
+
         // The total set of IntersectionObserverEntry objects for every DOM element container.
         // This list is updated when each time an entry changes its intersectional state.
         _entries: Array,
@@ -190,12 +243,12 @@ export const DomObserversMixin = superClass => {
         _maxContainerCount: {
           type: Number,
           value: 1,
-          computed: '__computeMaxContainerCount(margin, _hostSize, _sampleSize, _containersPer)'
+          computed: '__computeMaxContainerCount(margin, _hostSize, _sampleSize, _containersPer, _smallestSize)'
         }, 
 
         _root: {
           type: Object,
-          computed: '__computeRoot(layout)'
+          computed: '__computeRoot(_scrollTarget)'
         },
 
         _rootMargin: {
@@ -203,6 +256,15 @@ export const DomObserversMixin = superClass => {
           computed: '__computeRootMargin(_marginTop, _marginRight, _marginBottom, _marginLeft)'
         },
 
+        // Set when a 'horizontal' layout is displayed right-to-left.
+        // '_hostBbox' and '_dir' are only used as triggers, since 
+        // direction is inherited and cannot be observed directly.
+        _rtl: {
+          type: Boolean,
+          value: false,
+          computed: '__computeRtl(layout, _hostBbox, _dir)'
+        },
+
         // The initial stamped item.
         // Used to determine the number reusable containers to 
         // stamp which will fill the host.
@@ -210,16 +272,29 @@ export const DomObserversMixin = superClass => {
 
         _sampleObserver: Object,
 
+        // The resolved element that scrolls, or window.
+        _scrollTarget: {
+          type: Object,
+          computed: '__computeScrollTarget(layout, scrollTarget)'
+        },
+
+        // The distance between rows/columns of items,
+        // which is the size of the sample plus 'gap'.
         _sampleSize: {
           type: Number,
-          computed: '__computeSize(_dimension, _sampleBbox)'
+          computed: '__computeSampleSize(_dimension, _sampleBbox, gap)'
         },
 
         _side: {
           type: String,
           value: 'top', // or 'left'
           computed: '__computeSide(layout)'
-        }
+        },
+
+        // The smallest measured item size.
+        // Only used with variable sized items, in 
+        // which case the sample may not be representative.
+        _smallestSize: Number
 
       };
     }
@@ -227,7 +302,8 @@ export const DomObserversMixin = superClass => {
 
     static get observers() {
       return [
-        '__containersItemCountChanged(_containers, _containerCount)'
+        '__containersItemCountChanged(_containers, _containerCount)',
+        '__rootChanged(_root, _rootMargin)'
       ];
     }
 
@@ -237,6 +313,7 @@ export const DomObserversMixin = superClass => {
       super.connectedCallback();
 
       this.__observeHost();
+      this.__observeDir();
     }
 
 
@@ -247,11 +324,14 @@ export const DomObserversMixin = superClass => {
       this.__cleanUpObservers();
     }
 
-
-    __computeContainerCount(length, max = 1) {
+    // Every item is stamped while '_renderingAll' is set.
+    // See 'PrintMixin'.
+    __computeContainerCount(length, max = 1, all) {
 
       if (typeof length !== 'number') { return; }
 
+      if (all) { return length; }
+
       return Math.min(length, max);
     }
 
@@ -259,19 +339,37 @@ export const DomObserversMixin = superClass => {
     // so that it can place them properly in the same layout.
     // For example, if there are 2 items per row, in a vertical scrolling
     // configuration, the element will translate containers in sets of 2.
-    __computeContainersPer(layout, hostBbox, sampleBbox) {
+    __computeContainersPer(layout, hostBbox, sampleBbox, columnCount, gap = 0) {
+
+      if (columnCount) { return columnCount; }
 
       if (!layout || !hostBbox || !sampleBbox) { return 1; }
 
-      const dim = layout === 'vertical' ? 'width' : 'height';
-      
-      return Math.max(Math.floor(hostBbox[dim] / sampleBbox[dim]), 1);
+      const dim = layout !== 'horizontal' ? 'width' : 'height';
+
+      // There is one less gap than there are items.
+      return Math.max(Math.floor((hostBbox[dim] + gap) / (sampleBbox[dim] + gap)), 1);
+    }
+
+    // The count for the largest breakpoint that fits the host.
+    __computeColumnCount(columns, hostBbox) {
+
+      if (typeof columns === 'number') { return columns; }
+
+      if (!columns || !hostBbox) { return; }
+
+      const breakpoint = Object.keys(columns).
+                           map(Number).
+                           sort((a, b) => b - a).
+                           find(width => width <= hostBbox.width);
+
+      return typeof breakpoint === 'number' ? columns[breakpoint] : undefined;
     }
 
 
     __computeDimension(layout) {
 
-      return layout === 'vertical' ? 'height' : 'width';
+      return layout !== 'horizontal' ? 'height' : 'width';
     }
 
 
@@ -338,13 +436,14 @@ export const DomObserversMixin = superClass => {
     }
 
 
-    __computeMaxContainerCount(margin, hostSize, sampleSize, per) {
+    __computeMaxContainerCount(margin, hostSize, sampleSize, per, smallest) {
 
       if (!hostSize || !sampleSize) { return 1; }
 
+      const size      = smallest ? Math.min(sampleSize, smallest) : sampleSize;
       const defaulted = margin || 4;
       const clamped   = Math.max(defaulted, 1.5);
-      const sections  = Math.ceil((hostSize * clamped) / sampleSize);
+      const sections  = Math.ceil((hostSize * clamped) / size);
 
       // There needs to be enough reusable containers stamped 
       // that some lay outside of the margin bounds. 
@@ -366,9 +465,10 @@ export const DomObserversMixin = superClass => {
     }
 
 
-    __computeRoot(layout) {
+    // Null is the document viewport.
+    __computeRoot(target) {
 
-      return layout === 'vertical' ? null : this;
+      return target === window ? null : target;
     }
 
 
@@ -378,9 +478,27 @@ export const DomObserversMixin = superClass => {
     }
 
 
+    __computeRtl(layout) {
+
+      if (layout !== 'horizontal') { return false; }
+
+      return window.getComputedStyle(this).direction === 'rtl';
+    }
+
+
+    __computeScrollTarget(layout, scrollTarget) {
+
+      if (layout === 'horizontal' || scrollTarget === 'host') { return this; }
+
+      if (scrollTarget instanceof window.Element) { return scrollTarget; }
+
+      return window;
+    }
+
+
     __computeSide(layout) {
 
-      return layout === 'vertical' ? 'top' : 'left';
+      return layout !== 'horizontal' ? 'top' : 'left';
     }
 
 
@@ -390,6 +508,16 @@ export const DomObserversMixin = superClass => {
     }
 
 
+    __computeSampleSize(dimension, bbox, gap = 0) {
+
+      const size = this.__computeSize(dimension, bbox);
+
+      if (!size) { return; }
+
+      return size + gap;
+    }
+
+
     __containersChanged(_, oldContainers) {
 
       if (oldContainers) {
@@ -414,6 +542,37 @@ export const DomObserversMixin = superClass => {
     }
 
 
+    // IntersectionObserver options are read-only, so replace
+    // the observer with one that uses the new root and margin.
+    __rootChanged() {
+
+      if (!this._intersectionObserver || !this._containers?.length) { return; }
+
+      this.__observeContainers(this._containers);
+    }
+
+
+    // Right-to-left 'horizontal' rects are mirrored about the
+    // viewport, so 'left' is always the leading edge.
+    __getLogicalRect(rect) {
+
+      if (!this._rtl || !rect) { return rect; }
+
+      const {bottom, height, left, right, top, width} = rect;
+
+      const mirror = window.innerWidth;
+
+      return {
+        bottom,
+        height,
+        left:  mirror - right,
+        right: mirror - left,
+        top,
+        width
+      };
+    }
+
+
     __observeHost() {
 
       if (this._hostObserver) { return; } // Already observing.
@@ -432,6 +591,34 @@ export const DomObserversMixin = superClass => {
     }
 
 
+    // Direction is inherited, so watch the 'dir' attribute of every
+    // element in the document, and in each shadow root that contains
+    // the host, since mutations are not observed across shadow roots.
+    __observeDir() {
+
+      this.__cleanUpDirObserver();
+
+      const update = () => {
+        this._dir = window.getComputedStyle(this).direction;
+      };
+
+      this._dirObserver = new window.MutationObserver(update);
+
+      const options = {attributeFilter: ['dir'], subtree: true};
+
+      let root = this.getRootNode();
+
+      while (root) {
+
+        this._dirObserver.observe(root, options);
+
+        root = root.host?.getRootNode();
+      }
+
+      update();
+    }
+
+
     __observeSample(sample) {
 
       this.__cleanUpSampleObserver();
@@ -452,15 +639,29 @@ export const DomObserversMixin = superClass => {
 
     __observeContainers(containers) {
 
+      if (this._intersectionObserver) {
+        this._intersectionObserver.disconnect();
+      }
+
+      let initial = true;
+
       // IntersectionObserver initializes with an entry for each
       // observed container, then only provides entries to containers
       // which have intersectional state updates as necessary.
       // So keep a list of all entries and update them over time.
       // This way, all offscreen vs visible items is known at all times.
+      //
+      // Compared against the observed containers, rather than 
+      // '_containerCount', since 'lite-grid' counts cells instead.
       const callback = entries => {
 
-        if (!this._entries || entries.length === this._containerCount) {
+        if (
+          initial        ||
+          !this._entries ||
+          entries.length === containers.length
+        ) {
 
+          initial       = false;
           this._entries = entries;
         }
         else if (Array.isArray(this._entries)) {
@@ -504,6 +705,15 @@ export const DomObserversMixin = superClass => {
     }
 
 
+    __cleanUpDirObserver() {
+
+      if (this._dirObserver) {
+        this._dirObserver.disconnect();
+        this._dirObserver = undefined;
+      }
+    }
+
+
     __cleanUpHostObserver() {
 
       if (this._hostObserver) {
@@ -525,6 +735,7 @@ export const DomObserversMixin = superClass => {
     __cleanUpObservers() {
 
       this.__cleanUpContainersObserver(this._containers);
+      this.__cleanUpDirObserver();
       this.__cleanUpHostObserver();
       this.__cleanUpSampleObserver();
     }   
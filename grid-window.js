@@ -0,0 +1,60 @@
+
+/**
+  * `grid-window`
+  *
+  *   Pure helpers used by `lite-grid` to recycle rows and columns.
+  *
+  *   Each axis is handled the same way, by a pool of cells which display
+  *   a contiguous window of the rows/columns that scroll.
+  *
+  **/
+
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+
+// The number of cells that fit in the scrolling area along one axis.
+const getVisibleCount = ({cellSize, hostSize, pinned}) => {
+
+  const size = Math.max(0, hostSize - (pinned * cellSize));
+
+  // One extra for partially visible cells on either end.
+  return Math.max(1, Math.ceil(size / cellSize) + 1);
+};
+
+// The number of recycled cells along one axis.
+export const getPoolSize = data => {
+
+  const {cellSize, count, hostSize, margin, pinned} = data;
+
+  const total = Math.max(0, count - pinned);
+
+  // Stamp a single sample to measure.
+  if (!cellSize || !hostSize) { return Math.min(total, 1); }
+
+  const visible = getVisibleCount(data);
+
+  return Math.min(total, Math.ceil(visible * Math.max(margin, 1)));
+};
+
+// The first of the contiguous rows/columns that are
+// displayed by the pool, with the extra cells split
+// evenly before and after the visible ones.
+export const getWindowStart = data => {
+
+  const {cellSize, count, hostSize, pinned, pool, scroll} = data;
+
+  if (!cellSize || !hostSize || !pool) { return 0; }
+
+  const first   = Math.floor(Math.max(0, scroll) / cellSize);
+  const visible = getVisibleCount(data);
+  const before  = Math.floor(Math.max(0, pool - visible) / 2);
+
+  return clamp(0, Math.max(0, count - pinned - pool), first - before);
+};
+
+// Each pooled row/column always displays the window entry
+// congruent to its own position, so only those that leave
+// the window are recycled as it moves.
+export const getWindowIndex = (position, start, pool) =>
+                                start + (((position - start) % pool) + pool) % pool;
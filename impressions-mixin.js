@@ -0,0 +1,262 @@
+
+/**
+  * `ImpressionsMixin`
+  *
+  *   Per-item impression events for `lite-list`, ie. for analytics.
+  *
+  *   Containers are recycled, so visibility is tracked by item identity,
+  *   or by item key when 'itemKey' is set, rather than by container or index.
+  *
+  *   An item is considered visible once at least 'impressionRatio' of it
+  *   is within the viewport, and within the scroll target when that is
+  *   not the window, ie. horizontal layouts. 'lite-list-item-visible' is fired once it has
+  *   remained visible for 'impressionDwell' milliseconds, then
+  *   'lite-list-item-hidden' is fired when it leaves the viewport.
+  *   Each item is counted at most once per appearance.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    impressions - Boolean - Set to enable impression events.
+  *
+  *
+  *    impressionDwell - Number - Default: 1000, Milliseconds an item must
+  *                               remain visible before it counts.
+  *
+  *
+  *    impressionRatio - Number - Default: 0.5, Between 0 and 1, the portion
+  *                               of an item that must be visible.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-item-visible', {value: {dwell, index, item, sourceIndex}}
+  *
+  *
+  *    'lite-list-item-hidden', {value: {dwell, index, item, sourceIndex}}
+  *
+  *      'dwell' is the total time, in milliseconds, the item was visible.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const ImpressionsMixin = superClass => {
+
+  return class ImpressionsMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Set to enable impression events.
+        impressions: Boolean,
+
+        // Milliseconds an item must remain visible before it counts.
+        impressionDwell: {
+          type: Number,
+          value: 1000
+        },
+
+        // Between 0 and 1, the portion of an item that must be visible.
+        impressionRatio: {
+          type: Number,
+          value: 0.5
+        },
+
+        // Map of item id to the current appearance of each visible item.
+        _appearances: {
+          type: Object,
+          value: () => (new Map())
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__impressionsChanged(impressions)',
+
+        // '_currentItems' and '_scroll' only used as synchronization triggers.
+        '__updateImpressions(impressions, impressionRatio, _entries, _currentItems, _scroll, _containers)'
+      ];
+    }
+
+
+    disconnectedCallback() {
+
+      super.disconnectedCallback();
+
+      this.__endAppearances();
+    }
+
+
+    __impressionsChanged(impressions) {
+
+      if (!impressions) {
+        this.__endAppearances();
+      }
+    }
+
+    // Scroll targets other than the window may themselves
+    // be scrolled out of view, so clip them to the viewport.
+    __getImpressionBounds() {
+
+      const bounds = this.__getViewportBounds();
+
+      if (!this._scrollTarget || this._scrollTarget === window) { return bounds; }
+
+      return {
+        bottom: Math.min(bounds.bottom, window.innerHeight),
+        left:   Math.max(bounds.left,   0),
+        right:  Math.min(bounds.right,  window.innerWidth),
+        top:    Math.max(bounds.top,    0)
+      };
+    }
+
+    // The portion of the container's area that is within the bounds.
+    __getVisibleRatio(rect, bounds) {
+
+      const width  = rect.right  - rect.left;
+      const height = rect.bottom - rect.top;
+
+      if (!width || !height) { return 0; }
+
+      const x = Math.min(rect.right,  bounds.right)  - Math.max(rect.left, bounds.left);
+      const y = Math.min(rect.bottom, bounds.bottom) - Math.max(rect.top,  bounds.top);
+
+      return (Math.max(0, x) * Math.max(0, y)) / (width * height);
+    }
+
+    // Returns a Map of item id to {index, item}
+    // for items that currently meet 'impressionRatio'.
+    //
+    // Short lists are not observed (see '__containersItemCountChanged'),
+    // so every container is measured instead.
+    __getImpressionItems(ratio) {
+
+      const bounds  = this.__getImpressionBounds();
+      const visible = new Map();
+
+      const targets = this._intersectionObserver && this._entries ?
+                        this._entries.
+                          filter(entry => entry.isIntersecting).
+                          map(entry => entry.target) :
+                        this._containers || [];
+
+      targets.forEach(target => {
+
+        const index = target.virtualIndex;
+        const item  = this._items[index];
+
+        if (typeof index !== 'number' || item === undefined) { return; }
+
+        const rect = target.getBoundingClientRect();
+
+        if (this.__getVisibleRatio(rect, bounds) < ratio) { return; }
+
+        visible.set(this.__getItemId(item, index), {index, item});
+      });
+
+      return visible;
+    }
+
+
+    __fireImpression(type, appearance) {
+
+      const {index, item, start} = appearance;
+
+      this.fire(`lite-list-item-${type}`, {
+        value: {
+          dwell:       Date.now() - start,
+          index,
+          item,
+          sourceIndex: this.getSourceIndex(index)
+        }
+      });
+    }
+
+    // Only count items that remain visible for 'impressionDwell'.
+    __beginAppearance(key, data) {
+
+      const appearance = {...data, counted: false, start: Date.now()};
+
+      appearance.timer = window.setTimeout(() => {
+
+        appearance.counted = true;
+
+        this.__fireImpression('visible', appearance);
+      }, this.impressionDwell);
+
+      this._appearances.set(key, appearance);
+    }
+
+
+    __endAppearance(key) {
+
+      const appearance = this._appearances.get(key);
+
+      window.clearTimeout(appearance.timer);
+
+      this._appearances.delete(key);
+
+      if (appearance.counted) {
+        this.__fireImpression('hidden', appearance);
+      }
+    }
+
+
+    __endAppearances() {
+
+      [...this._appearances.keys()].forEach(key => {
+        this.__endAppearance(key);
+      });
+    }
+
+
+    async __updateImpressions(impressions, ratio) {
+
+      if (!impressions || !this._items?.length || !this._containers?.length) { return; }
+
+      await schedule(); // Wait for containers to be moved.
+
+      const visible = this.__getImpressionItems(ratio);
+
+      [...this._appearances.keys()].forEach(key => {
+
+        if (!visible.has(key)) {
+          this.__endAppearance(key);
+        }
+      });
+
+      visible.forEach((data, key) => {
+
+        const appearance = this._appearances.get(key);
+
+        if (!appearance) {
+
+          this.__beginAppearance(key, data);
+
+          return;
+        }
+
+        // Indexes change as items are added or removed.
+        appearance.index = data.index;
+      });
+    }
+
+  };
+};
@@ -0,0 +1,278 @@
+
+/**
+  * `ItemKeyMixin`
+  *
+  *   Keeps `lite-list` stable, by 'itemKey', when 'items' is replaced or spliced.
+  *
+  *   The topmost/leftmost visible item is found by its key in the updated
+  *   'items', and the scroll position is adjusted so it stays in place, even
+  *   when items are inserted or removed before it.
+  *
+  *   Containers are mapped to data by key, so a container that was displaying
+  *   an item keeps displaying it, along with any DOM state, such as inputs,
+  *   video playback or expanded content. 'variable' and 'masonry' containers
+  *   are placed by item offset, and measured sizes follow their items as well.
+  *   Uniform grid containers trade grid cells instead, so each one is moved
+  *   into the cell of the item it was displaying.
+  *
+  *   Has no effect unless 'itemKey' is set, or when 'anchor' is 'end',
+  *   which keeps the position as items are prepended, see `AnchorMixin`.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const ItemKeyMixin = superClass => {
+
+  return class ItemKeyMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // The key of each item, as of the latest change to 'items'.
+        _itemKeys: Array
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__keyItemsChanged(itemKey, _items.*)'
+      ];
+    }
+
+    // Returns the key and viewport position of the
+    // topmost/leftmost visible item, prior to remapping.
+    __getKeyAnchor(keys) {
+
+      if (!this._containers?.length) { return; }
+
+      const bounds = this.__getLogicalRect(this.__getViewportBounds());
+      const start  = this.layout !== 'horizontal' ? 'top'    : 'left';
+      const end    = this.layout !== 'horizontal' ? 'bottom' : 'right';
+
+      const visible = this._containers.
+                        filter(container => typeof container.virtualIndex === 'number').
+                        map(container => ({
+                          index: container.virtualIndex,
+                          rect:  this.__getLogicalRect(container.getBoundingClientRect())
+                        })).
+                        filter(({rect}) => rect[end] > bounds[start]).
+                        sort((a, b) => a.rect[start] - b.rect[start]);
+
+      if (!visible.length) { return; }
+
+      const {index, rect} = visible[0];
+
+      return {
+        delta: rect[start] - bounds[start],
+        index,
+        key:   keys[index % keys.length]
+      };
+    }
+
+    // Measured sizes are cached by index, so move them with their items.
+    __remapSizes(previousKeys, keys) {
+
+      const previous = new Map(previousKeys.map((key, index) => [key, index]));
+
+      this._sizes = keys.map(key =>
+                      previous.has(key) ? this._sizes[previous.get(key)] : undefined);
+    }
+
+
+    async __keepKeyAnchor(anchor, index) {
+
+      await schedule(); // Wait for offsets and containers to update.
+
+      const scroll = this.__getListStart() + this.__getIndexDistance(index) - anchor.delta;
+
+      this.__scrollTo(scroll, 'instant');
+
+      return this.__reposition();
+    }
+
+
+    __keyItemsChanged(itemKey, changeRecord) {
+
+      // Ignore changes to individual item properties.
+      if (changeRecord.path !== '_items' && changeRecord.path !== '_items.splices') { return; }
+
+      const previousKeys = this._itemKeys;
+      const items        = this._items || [];
+
+      this._itemKeys = itemKey ? items.map((item, index) => this.__getItemKey(item, index)) : undefined;
+
+      if (
+        !itemKey              ||
+        !previousKeys?.length ||
+        !items.length         ||
+        this.anchor === 'end'
+      ) {
+        return;
+      }
+
+      // The DOM has not been updated yet.
+      const anchor = this.__getKeyAnchor(previousKeys);
+
+      if (this._positioned) {
+
+        this.__remapSizes(previousKeys, this._itemKeys);
+      }
+
+      if (!anchor) { return; }
+
+      const index = this._itemKeys.indexOf(anchor.key);
+
+      if (index === -1 || index === anchor.index) { return; }
+
+      this.__keepKeyAnchor(anchor, index);
+    }
+
+    // Measured sizes are remapped by key, rather than reset.
+    __variableItemsChanged() {
+
+      if (this.itemKey) { return; }
+
+      super.__variableItemsChanged();
+    }
+
+
+    __variableItemsSpliced(splices) {
+
+      if (this.itemKey) { return; }
+
+      super.__variableItemsSpliced(splices);
+    }
+
+    // Uniform grid containers are bound to grid cells, so swap
+    // cells, along with their translations, to keep each item
+    // in the container that was already displaying it.
+    //
+    // Called by '__mapItems' with one item per '_sorted' entry.
+    __swapKeyedContainers(data) {
+
+      if (!this.itemKey) { return; }
+
+      const {length} = this._items;
+      const sorted   = this._sorted;
+      const start    = this._start;
+      const keys     = data.map((item, index) => this.__getItemKey(item, (start + index) % length));
+      const previous = new Map(sorted.map(({target}) => [target.key, target]));
+      const taken    = new Set();
+
+      // Cells are captured before any containers are moved.
+      const cells = sorted.map(({target}) => ({
+                      cell:     target.cell ?? target.index,
+                      position: target.previous || 0
+                    }));
+
+      // First, keep items in their current containers.
+      const assigned = keys.map(key => {
+
+        const container = previous.get(key);
+
+        if (key === undefined || !container || taken.has(container)) { return; }
+
+        taken.add(container);
+
+        return container;
+      });
+
+      // Then, leave the rest of the containers in their cells, where possible.
+      sorted.forEach(({target}, index) => {
+
+        if (assigned[index] || taken.has(target)) { return; }
+
+        taken.add(target);
+
+        assigned[index] = target;
+      });
+
+      const free = sorted.
+                     map(({target}) => target).
+                     filter(container => !taken.has(container));
+
+      sorted.forEach((entry, index) => {
+
+        const container        = assigned[index] ?? free.shift();
+        const {cell, position} = cells[index];
+
+        // Every container is ordered explicitly, once any are swapped.
+        container.cell        = cell;
+        container.key         = keys[index];
+        container.style.order = `${cell}`;
+
+        if (container === entry.target) { return; }
+
+        entry.target = container;
+
+        this.__move(container, position);
+      });
+    }
+
+    // Prefer the container that was already displaying each item.
+    __mapVariableItems(data) {
+
+      if (!this.itemKey) {
+
+        return super.__mapVariableItems(data);
+      }
+
+      const count = this._containers?.length;
+
+      if (!count || data.length !== count) { return; }
+
+      const start      = this._start;
+      const containers = this._containers;
+      const previous   = new Map(containers.map((container, index) => [container.key, index]));
+      const taken      = new Set();
+      const keys       = data.map((item, index) => this.__getItemKey(item, start + index));
+
+      // First, keep items in their current containers.
+      const assigned = keys.map(key => {
+
+        const containerIndex = previous.get(key);
+
+        if (key === undefined || containerIndex === undefined || taken.has(containerIndex)) { return; }
+
+        taken.add(containerIndex);
+
+        return containerIndex;
+      });
+
+      const free = containers.
+                     map((_, index) => index).
+                     filter(index => !taken.has(index));
+
+      const items = data.reduce((accum, item, index) => {
+
+        const virtualIndex   = start + index;
+        const containerIndex = assigned[index] ?? free.shift();
+        const container      = containers[containerIndex];
+
+        container.key          = keys[index];
+        container.virtualIndex = virtualIndex;
+
+        accum[containerIndex] = item;
+
+        return accum;
+      }, []);
+
+      this.__placeVariableContainers();
+
+      return items;
+    }
+
+  };
+};
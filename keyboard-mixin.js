@@ -0,0 +1,300 @@
+
+/**
+  * `KeyboardMixin`
+  *
+  *   Keyboard navigation and roving focus for `lite-list`.
+  *
+  *   The active item is tracked by its index in 'items', rather than
+  *   by the container that displays it, since containers are recycled.
+  *
+  *   Only the container that currently displays the active item is
+  *   tabbable, and focus is restored to it after containers are recycled.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    activeIndex - Number - The index of the item in 'items' that
+  *                           currently has keyboard focus.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-active-index-changed', {sourceIndex, value: index}
+  *
+  *
+  *
+  *  Keys:
+  *
+  *
+  *    ArrowUp/ArrowDown/ArrowLeft/ArrowRight - Move by one item, or by one row/column
+  *                                             depending on 'layout'.
+  *
+  *    Home/End - Move to the first/last item.
+  *
+  *    PageUp/PageDown - Move by one viewport's worth of items.
+  *
+  *
+  *    Keys are only handled while a container itself has focus, not
+  *    while an input or other element within an item has focus.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const KeyboardMixin = superClass => {
+
+  return class KeyboardMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // The index of the item in 'items' that currently has keyboard focus.
+        activeIndex: {
+          type: Number,
+          value: 0,
+          observer: '__activeIndexChanged'
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__updateRovingFocus(_currentItems, _containers)'
+      ];
+    }
+
+
+    constructor() {
+
+      super();
+
+      this.__focusinHandler = this.__focusinHandler.bind(this);
+      this.__keydownHandler = this.__keydownHandler.bind(this);
+    }
+
+
+    connectedCallback() {
+
+      super.connectedCallback();
+
+      this.addEventListener('focusin', this.__focusinHandler);
+      this.addEventListener('keydown', this.__keydownHandler);
+    }
+
+
+    disconnectedCallback() {
+
+      super.disconnectedCallback();
+
+      this.removeEventListener('focusin', this.__focusinHandler);
+      this.removeEventListener('keydown', this.__keydownHandler);
+    }
+
+
+    __activeIndexChanged(index) {
+
+      this.__updateRovingFocus();
+
+      this.fire('lite-list-active-index-changed', {
+        sourceIndex: this.getSourceIndex(index),
+        value:       index
+      });
+    }
+
+    // Returns the container that currently displays the item.
+    __getContainerAt(index) {
+
+      return this._containers?.find(container => container.virtualIndex === index);
+    }
+
+    // Returns the number of items that fit in the viewport.
+    __getPageCount() {
+
+      if (!this._hostSize) { return 1; }
+
+      if (this._positioned) {
+
+        const start = this.__getVariableOffset(this.activeIndex);
+        const end   = start + this._hostSize;
+        const index = this._offsets ? this._offsets.findIndex(offset => offset >= end) : -1;
+
+        return Math.max(1, (index === -1 ? this._items.length : index) - this.activeIndex - 1);
+      }
+
+      if (!this._sampleSize) { return 1; }
+
+      return Math.max(1, Math.floor(this._hostSize / this._sampleSize)) * this._containersPer;
+    }
+
+
+    __getKeyDelta(key) {
+
+      const per      = this._containersPer || 1;
+      const vertical = this.layout !== 'horizontal';
+
+      switch (key) {
+
+        case 'ArrowDown':
+          return vertical ? per : 1;
+
+        case 'ArrowUp':
+          return vertical ? -per : -1;
+
+        // Right-to-left layouts flow toward the left.
+        case 'ArrowRight':
+          return vertical ? 1 : (this._rtl ? -per : per);
+
+        case 'ArrowLeft':
+          return vertical ? -1 : (this._rtl ? per : -per);
+
+        case 'PageDown':
+          return this.__getPageCount();
+
+        case 'PageUp':
+          return -this.__getPageCount();
+      }
+    }
+
+
+    __getNextIndex(key) {
+
+      const last = this._items.length - 1;
+
+      if (key === 'Home') { return 0; }
+
+      if (key === 'End') { return last; }
+
+      const delta = this.__getKeyDelta(key);
+
+      if (typeof delta !== 'number') { return; }
+
+      const next = this.activeIndex + delta;
+
+      // Wrap around when moving one item/row at a time.
+      if (this._infinite && key.startsWith('Arrow')) {
+
+        const {length} = this._items;
+
+        return ((next % length) + length) % length;
+      }
+
+      return clamp(0, last, next);
+    }
+
+    // Scroll the item into view, only if it's not currently visible.
+    async __scrollIntoView(index) {
+
+      const container = this.__getContainerAt(index);
+
+      if (container) {
+
+        const bbox     = this.__getLogicalRect(container.getBoundingClientRect());
+        const viewport = this.layout !== 'horizontal' ?
+                           this.__getViewportBounds() :
+                           this.__getLogicalRect(this.getBoundingClientRect());
+
+        const start = this.layout !== 'horizontal' ? 'top'    : 'left';
+        const end   = this.layout !== 'horizontal' ? 'bottom' : 'right';
+
+        if (bbox[start] >= viewport[start] && bbox[end] <= viewport[end]) { return; }
+
+        const position = bbox[start] < viewport[start] ? 'start' : 'end';
+
+        return this.moveToIndex(index, position);
+      }
+
+      const position = index < this._virtualIndex ? 'start' : 'end';
+
+      return this.moveToIndex(index, position);
+    }
+
+    // Only the container that displays the active item is tabbable.
+    //
+    // When the active item is not currently displayed, the first
+    // container remains tabbable so the list can still recieve focus.
+    async __updateRovingFocus() {
+
+      if (!this._containers?.length) { return; }
+
+      await schedule(); // Wait for recycled containers to render.
+
+      const active   = this.__getContainerAt(this.activeIndex);
+      const tabbable = active || this._containers.at(0);
+      const hadFocus = this._containers.some(container =>
+                         container.matches(':focus-within'));
+
+      this._containers.forEach(container => {
+        container.setAttribute('tabindex', container === tabbable ? '0' : '-1');
+      });
+
+      // Recycling moved the focused item to a different container.
+      if (hadFocus && active && !active.matches(':focus-within')) {
+
+        active.focus({preventScroll: true});
+      }
+    }
+
+
+    // Only handle keys pressed while a container itself has focus,
+    // so inputs, textareas and contenteditable elements within
+    // slotted items keep their default caret behavior.
+    __isContainerKeydown(event) {
+
+      const target = event.composedPath()[0];
+
+      return Boolean(this._containers?.includes(target));
+    }
+
+
+    __focusinHandler(event) {
+
+      const container = event.composedPath().find(el =>
+                          this._containers?.includes(el));
+
+      if (typeof container?.virtualIndex !== 'number') { return; }
+
+      this.activeIndex = container.virtualIndex;
+    }
+
+
+    async __keydownHandler(event) {
+
+      if (!this._items?.length || !this.__isContainerKeydown(event)) { return; }
+
+      const index = this.__getNextIndex(event.key);
+
+      if (typeof index !== 'number') { return; }
+
+      // Prevent the default page scrolling behavior.
+      event.preventDefault();
+
+      if (index === this.activeIndex) { return; }
+
+      this.activeIndex = index;
+
+      await this.__scrollIntoView(index);
+
+      await schedule(); // Wait for recycled containers to render.
+
+      this.__getContainerAt(index)?.focus({preventScroll: true});
+    }
+
+  };
+};
@@ -0,0 +1,399 @@
+
+/**
+  * `lite-carousel`
+  *
+  *   A horizontal, scroll-snapping carousel built on `lite-list`.
+  *
+  *   Each item is displayed in a section that is the full width of the carousel.
+  *   Items are recycled exactly as they are in `lite-list`, so it is used
+  *   in the same way, by driving a template repeater with the value of
+  *   'lite-list-current-items-changed' events.
+  *
+  *
+  *  Example Usage:
+  *
+  *
+  *   <lite-carousel items="[[items]]"
+  *                  on-lite-list-current-items-changed="__currentItemsChangedHandler"
+  *                  on-lite-carousel-section-changed="__sectionChangedHandler">
+  *
+  *     <template is="dom-repeat" items="[[_currentItems]]">
+  *
+  *       <img slot$="slot-[[index]]" src="[[item.src]]">
+  *
+  *     </template>
+  *
+  *   </lite-carousel>
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    autoplay - Boolean - Set to automatically move to the next section
+  *                         every 'autoplayInterval'. Paused while the
+  *                         carousel is hovered, focused or being swiped.
+  *
+  *
+  *    autoplayInterval - Number - Default: 5000, Milliseconds.
+  *
+  *
+  *    infinite - Boolean - Loop back to the first item after the last, and vice versa.
+  *
+  *
+  *    itemKey - String or Function - See `lite-list`.
+  *
+  *
+  *    items - Array - See `lite-list`.
+  *
+  *
+  *    margin - Number - Default: 1, See `lite-list`.
+  *
+  *
+  *    section - Number - Read only, the index of the current item.
+  *
+  *
+  *
+  *  Methods:
+  *
+  *
+  *    moveToSection(index) - Instant move to a section.
+  *
+  *
+  *    animateToSection(index) - Smooth scroll to a section.
+  *
+  *
+  *    next() - Smooth scroll to the next section.
+  *
+  *
+  *    previous() - Smooth scroll to the previous section.
+  *
+  *
+  *    All methods return a Promise that resolves once the carousel 
+  *    has come to rest, and 'section' has been updated.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-carousel-section-changed', {value: {index, item}}
+  *
+  *      Fired once the carousel has come to rest on a different section.
+  *
+  *
+  *    All `lite-list` events are also available.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {AppElement} from '@longlost/app-core/app-element.js';
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+import template from './lite-carousel.html';
+
+import './lite-list.js';
+
+
+class LiteCarousel extends AppElement {
+
+  static get is() { return 'lite-carousel'; }
+
+  static get template() { return template; }
+
+
+  static get properties() {
+    return {
+
+      // Automatically move to the next section every 'autoplayInterval'.
+      autoplay: Boolean,
+
+      // Milliseconds.
+      autoplayInterval: {
+        type: Number,
+        value: 5000
+      },
+
+      // Loop back to the first item after the last, and vice versa.
+      infinite: Boolean,
+
+      // See `lite-list`.
+      itemKey: Object,
+
+      // See `lite-list`.
+      items: Array,
+
+      // Sections are the full width of the carousel,
+      // so fewer containers are needed than `lite-list`.
+      margin: {
+        type: Number,
+        value: 1
+      },
+
+      // The index of the current item.
+      section: {
+        type: Number,
+        value: 0,
+        readOnly: true
+      },
+
+      // 'setTimeout' id.
+      _autoplayTimer: Number,
+
+      // Autoplay is paused while the user is interacting.
+      _paused: Boolean,
+
+      // Drives the slot forwarding template repeater.
+      // One for each `lite-list` container.
+      _slots: Array,
+
+      // The current section, including any 'infinite' loops.
+      _virtualSection: {
+        type: Number,
+        value: 0
+      },
+
+      _width: Number,
+
+      _widthObserver: Object
+
+    };
+  }
+
+
+  static get observers() {
+    return [
+      '__updateAutoplay(autoplay, autoplayInterval, _paused, _virtualSection, items.length)',
+      '__updateSnapper(_virtualSection, _width)'
+    ];
+  }
+
+
+  constructor() {
+
+    super();
+
+    this.__pauseHandler  = this.__pauseHandler.bind(this);
+    this.__resumeHandler = this.__resumeHandler.bind(this);
+  }
+
+
+  connectedCallback() {
+
+    super.connectedCallback();
+
+    this.addEventListener('focusin',      this.__pauseHandler);
+    this.addEventListener('focusout',     this.__resumeHandler);
+    this.addEventListener('pointerenter', this.__pauseHandler);
+    this.addEventListener('pointerleave', this.__resumeHandler);
+
+    this._widthObserver = new window.ResizeObserver(entries => {
+
+      this._width = entries[0].contentRect.width;
+    });
+
+    this._widthObserver.observe(this);
+  }
+
+
+  disconnectedCallback() {
+
+    super.disconnectedCallback();
+
+    this.removeEventListener('focusin',      this.__pauseHandler);
+    this.removeEventListener('focusout',     this.__resumeHandler);
+    this.removeEventListener('pointerenter', this.__pauseHandler);
+    this.removeEventListener('pointerleave', this.__resumeHandler);
+
+    this._widthObserver?.disconnect();
+    this._widthObserver = undefined;
+
+    window.clearTimeout(this._autoplayTimer);
+  }
+
+  // Restart the timer each time the carousel comes to rest on a section.
+  __updateAutoplay(autoplay, interval, paused, _, length) {
+
+    window.clearTimeout(this._autoplayTimer);
+
+    if (!autoplay || paused || !length) { return; }
+
+    this._autoplayTimer = window.setTimeout(() => {
+
+      // Stop at the last section, unless looping.
+      if (!this.infinite && this.section === length - 1) { return; }
+
+      this.next();
+    }, interval);
+  }
+
+  // Browsers do not re-snap after containers are recycled,
+  // so keep a snap point at the current section.
+  //
+  // 'inset-inline-start' is logical, so the snap point follows 
+  // the sections toward the left in right-to-left documents,
+  // even when the direction changes at runtime.
+  __updateSnapper(virtualSection, width) {
+
+    if (!width) { return; }
+
+    this.$.snapper.style['inset-inline-start'] = `${virtualSection * width}px`;
+  }
+
+
+  __currentItemsChangedHandler(event) {
+
+    const {value} = event.detail;
+
+    if (value?.length === this._slots?.length) { return; }
+
+    this._slots = value ? [...Array(value.length)] : undefined;
+  }
+
+
+  __pauseHandler() {
+
+    this._paused = true;
+  }
+
+
+  __resumeHandler(event) {
+
+    // Focus moved within the carousel.
+    if (event.type === 'focusout' && this.contains(event.relatedTarget)) { return; }
+
+    this._paused = false;
+  }
+
+
+  async __scrollChangedHandler(event) {
+
+    const scroll = event.detail.value;
+
+    try {
+
+      if (!this._width || !this.items?.length) { return; }
+
+      // Wait for the scroll to come to rest on a section.
+      await this.debounce('lite-carousel-scroll-debouncer', 100);
+
+      this.__setVirtualSection(Math.round(scroll / this._width));
+    }
+    catch (error) {
+      if (error === 'debounced') { return; }
+      console.error(error);
+    }
+  }
+
+  // The carousel has come to rest on a section.
+  __setVirtualSection(virtualSection) {
+
+    if (virtualSection === this._virtualSection) { return; }
+
+    const {length} = this.items;
+    const index    = ((virtualSection % length) + length) % length;
+
+    this._virtualSection = virtualSection;
+
+    this._setSection(index);
+
+    this.fire('lite-carousel-section-changed', {
+      value: {
+        index,
+        item: this.items[index]
+      }
+    });
+  }
+
+  // Returns the virtual section that displays the item,
+  // within the current loop when 'infinite' is set.
+  __getVirtualSection(index) {
+
+    const {length} = this.items;
+
+    if (!this.infinite) {
+
+      return clamp(0, length - 1, index);
+    }
+
+    const current = ((this._virtualSection % length) + length) % length;
+    const target  = ((index % length) + length) % length;
+
+    return this._virtualSection + target - current;
+  }
+
+
+  async __animateToVirtualSection(virtualSection) {
+
+    await this.$.list.animateToIndex(virtualSection);
+
+    this.__setVirtualSection(virtualSection);
+  }
+
+
+  animateToSection(index) {
+
+    if (!this.items?.length) { return Promise.resolve(); }
+
+    return this.__animateToVirtualSection(this.__getVirtualSection(index));
+  }
+
+
+  async moveToSection(index) {
+
+    if (!this.items?.length) { return; }
+
+    const virtualSection = this.__getVirtualSection(index);
+
+    await this.$.list.moveToIndex(virtualSection);
+
+    this.__setVirtualSection(virtualSection);
+  }
+
+  // Moves past the last section when 'infinite' is set.
+  next() {
+
+    if (!this.items?.length) { return Promise.resolve(); }
+
+    if (this.infinite) {
+
+      return this.__animateToVirtualSection(this._virtualSection + 1);
+    }
+
+    return this.animateToSection(this.section + 1);
+  }
+
+  // Wraps around to the last section when 'infinite' is set.
+  async previous() {
+
+    if (!this.items?.length) { return; }
+
+    if (!this.infinite) {
+
+      return this.animateToSection(this.section - 1);
+    }
+
+    // Nothing can be displayed before the first loop, so
+    // jump ahead one loop, to the same item, beforehand.
+    if (this._virtualSection === 0) {
+
+      const {length} = this.items;
+
+      await this.$.list.moveToIndex(length);
+
+      this._virtualSection = length;
+    }
+
+    return this.__animateToVirtualSection(this._virtualSection - 1);
+  }
+
+}
+
+window.customElements.define(LiteCarousel.is, LiteCarousel);
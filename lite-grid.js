@@ -0,0 +1,566 @@
+
+/**
+  * `lite-grid`
+  *
+  *   A two-dimensional virtualized data grid, ie. for spreadsheet-like views.
+  *
+  *   Where `lite-list` recycles containers along a single axis, `lite-grid`
+  *   recycles cells along both rows and columns, so only the cells that
+  *   fill the host, plus a 'margin' of offscreen cells, are ever stamped,
+  *   regardless of the number of rows and columns.
+  *
+  *   Header rows and leading columns can be pinned, so they remain in view
+  *   while the rest of the grid is scrolled.
+  *
+  *   Uses the same IntersectionObserver and ResizeObserver machinery as
+  *   `lite-list`, see `DomObserversMixin`. The host scrolls in both directions.
+  *
+  *
+  *   NOTE: It is REQUIRED that all cells have identical dimensions.
+  *         Size cells with the 'cell' part.
+  *
+  *
+  *  Example Usage:
+  *
+  *
+  *   <style>
+  *
+  *     lite-grid {
+  *       height: 600px;
+  *     }
+  *
+  *     lite-grid::part(cell) {
+  *       height: 40px;
+  *       width:  160px;
+  *     }
+  *
+  *   </style>
+  *
+  *
+  *   <lite-grid column-count="[[fields.length]]"
+  *              items="[[rows]]"
+  *              pinned-columns="1"
+  *              pinned-rows="1"
+  *              on-lite-grid-current-cells-changed="__currentCellsChangedHandler">
+  *
+  *     <template is="dom-repeat" items="[[_cells]]">
+  *
+  *       <div slot$="slot-[[index]]"> <!-- This attribute is required! -->
+  *         [[__computeCellValue(item, fields)]]
+  *       </div>
+  *
+  *     </template>
+  *
+  *   </lite-grid>
+  *
+  *
+  *   ...
+  *
+  *
+  *   __currentCellsChangedHandler(event) {
+  *     this._cells = event.detail.value;
+  *   }
+  *
+  *   __computeCellValue({column, item}, fields) {
+  *     return item[fields[column]];
+  *   }
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    columnCount - Number - The total number of columns.
+  *
+  *
+  *    items - Array - One entry for each row.
+  *
+  *
+  *    margin - Number - Default: 1.5, The number of cells stamped along each axis,
+  *                      as a multiple of those that fill the host.
+  *
+  *
+  *    pinnedColumns - Number - Default: 0, Leading columns that do not scroll horizontally.
+  *
+  *
+  *    pinnedRows - Number - Default: 0, Header rows that do not scroll vertically.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-grid-current-cells-changed', {value: [{column, item, row}, ...]}
+  *
+  *      Drives the template repeater. One entry for each cell, in cell order,
+  *      where 'item' is the row's entry in 'items'.
+  *
+  *
+  *    'lite-grid-visible-range-changed', {value: {firstColumn, firstRow, lastColumn, lastRow}}
+  *
+  *      Fired when the range of cells that are in view changes.
+  *      Pinned rows and columns are always in view, so they are
+  *      not included, unless the grid is entirely pinned.
+  *
+  *
+  *
+  *  Parts:
+  *
+  *
+  *    'cell' - Every cell.
+  *
+  *    'pinned-cell' - Cells in pinned rows or columns.
+  *
+  *    'pinned' - The backdrop of the pinned rows and columns. Defaults to white.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {AppElement} from '@longlost/app-core/app-element.js';
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+import {consumeEvent, schedule} from '@longlost/app-core/utils.js';
+
+import {DomObserversMixin} from './dom-observers-mixin.js';
+
+import {
+  getPoolSize,
+  getWindowIndex,
+  getWindowStart
+} from './grid-window.js';
+
+import template from './lite-grid.html';
+
+
+class LiteGrid extends DomObserversMixin(AppElement) {
+
+  static get is() { return 'lite-grid'; }
+
+  static get template() { return template; }
+
+
+  static get properties() {
+    return {
+
+      // The total number of columns.
+      columnCount: {
+        type: Number,
+        value: 0
+      },
+
+      // Cells are stamped along both axes, so far fewer
+      // are needed than with 'lite-list' containers.
+      margin: {
+        type: Number,
+        value: 1.5
+      },
+
+      // Leading columns that do not scroll horizontally.
+      pinnedColumns: {
+        type: Number,
+        value: 0
+      },
+
+      // Header rows that do not scroll vertically.
+      pinnedRows: {
+        type: Number,
+        value: 0
+      },
+
+      _cellCount: {
+        type: Number,
+        computed: '__computeCellCount(_regions)'
+      },
+
+      _cellHeight: {
+        type: Number,
+        computed: '__computeSize("height", _sampleBbox)'
+      },
+
+      _cellWidth: {
+        type: Number,
+        computed: '__computeSize("width", _sampleBbox)'
+      },
+
+      // Cell data, in cell order.
+      _currentCells: {
+        type: Array,
+        observer: '__currentCellsChanged'
+      },
+
+      _pinnedColumnCount: {
+        type: Number,
+        computed: '__computePinnedCount(pinnedColumns, columnCount)'
+      },
+
+      _pinnedRowCount: {
+        type: Number,
+        computed: '__computePinnedCount(pinnedRows, items.length)'
+      },
+
+      _poolColumns: {
+        type: Number,
+        computed: '__computePoolColumns(margin, _hostBbox, _cellWidth, columnCount, _pinnedColumnCount)'
+      },
+
+      _poolRows: {
+        type: Number,
+        computed: '__computePoolRows(margin, _hostBbox, _cellHeight, items.length, _pinnedRowCount)'
+      },
+
+      // Cell indexes for each template repeater.
+      _regions: {
+        type: Object,
+        computed: '__computeRegions(_pinnedRowCount, _pinnedColumnCount, _poolRows, _poolColumns)'
+      },
+
+      _scrollLeft: {
+        type: Number,
+        value: 0
+      },
+
+      _scrollTop: {
+        type: Number,
+        value: 0
+      },
+
+      // The last reported 'lite-grid-visible-range-changed' value.
+      _visibleRange: Object
+
+    };
+  }
+
+
+  static get observers() {
+    return [
+      '__updateCells(_containers, items.*, _regions, _cellHeight, _cellWidth, _scrollTop, _scrollLeft)',
+      '__updateScrollSize(items.length, columnCount, _pinnedRowCount, _pinnedColumnCount, _cellHeight, _cellWidth)',
+
+      // '_currentCells' and scroll positions only used as synchronization triggers.
+      '__updateVisibleRange(_entries, _currentCells, _scrollTop, _scrollLeft)'
+    ];
+  }
+
+
+  constructor() {
+
+    super();
+
+    this.__scrollHandler = this.__scrollHandler.bind(this);
+  }
+
+
+  connectedCallback() {
+
+    super.connectedCallback();
+
+    this.addEventListener('scroll', this.__scrollHandler);
+  }
+
+
+  disconnectedCallback() {
+
+    super.disconnectedCallback();
+
+    this.removeEventListener('scroll', this.__scrollHandler);
+  }
+
+
+  __computeCellCount(regions) {
+
+    if (!regions) { return 0; }
+
+    return Object.values(regions).reduce((sum, indexes) => sum + indexes.length, 0);
+  }
+
+
+  __computePinnedCount(pinned, count) {
+
+    if (typeof count !== 'number') { return 0; }
+
+    return clamp(0, count, pinned || 0);
+  }
+
+
+  __computePoolColumns(margin, hostBbox, cellWidth, count, pinned) {
+
+    return getPoolSize({
+      cellSize: cellWidth,
+      count,
+      hostSize: hostBbox?.width,
+      margin,
+      pinned
+    });
+  }
+
+
+  __computePoolRows(margin, hostBbox, cellHeight, count = 0, pinned) {
+
+    return getPoolSize({
+      cellSize: cellHeight,
+      count,
+      hostSize: hostBbox?.height,
+      margin,
+      pinned
+    });
+  }
+
+  // Cells are indexed in row order across all four regions.
+  __computeRegions(pinnedRows, pinnedColumns, poolRows, poolColumns) {
+
+    const regions = {body: [], corner: [], side: [], top: []};
+    const width   = pinnedColumns + poolColumns;
+    const height  = pinnedRows    + poolRows;
+
+    for (let index = 0; index < width * height; index++) {
+
+      const pinnedRow    = Math.floor(index / width) < pinnedRows;
+      const pinnedColumn = index % width < pinnedColumns;
+
+      if (pinnedRow && pinnedColumn) {
+        regions.corner.push(index);
+      }
+      else if (pinnedRow) {
+        regions.top.push(index);
+      }
+      else if (pinnedColumn) {
+        regions.side.push(index);
+      }
+      else {
+        regions.body.push(index);
+      }
+    }
+
+    return regions;
+  }
+
+  // The host always scrolls.
+  __computeScrollTarget() {
+
+    return this;
+  }
+
+  // Cells are counted along both axes.
+  __containersItemCountChanged(containers) {
+
+    if (!containers?.length) { return; }
+
+    this.__observeSample(containers.at(0));
+
+    if (containers.length === this._cellCount && !this._intersectionObserver) {
+
+      // Start over with the initial entries for every cell.
+      this._entries = undefined;
+
+      this.__observeContainers(containers);
+    }
+  }
+
+
+  __currentCellsChanged(cells) {
+
+    if (!cells) { return; }
+
+    this.fire('lite-grid-current-cells-changed', {value: cells});
+  }
+
+  // Returns the row and column of the cell at
+  // its position within the grid of cells.
+  __getCellPosition(index, windows) {
+
+    const {columns, pinnedColumns, pinnedRows, rows} = windows;
+
+    const width = pinnedColumns + columns.pool;
+    const x     = index % width;
+    const y     = Math.floor(index / width);
+
+    const column = x < pinnedColumns ?
+                     x :
+                     pinnedColumns + getWindowIndex(x - pinnedColumns, columns.start, columns.pool);
+
+    const row = y < pinnedRows ?
+                  y :
+                  pinnedRows + getWindowIndex(y - pinnedRows, rows.start, rows.pool);
+
+    return {column, pinnedColumn: x < pinnedColumns, pinnedRow: y < pinnedRows, row};
+  }
+
+
+  __updateCells(containers, _, regions, cellHeight, cellWidth, scrollTop, scrollLeft) {
+
+    if (!containers?.length || containers.length !== this._cellCount || !this.items) { return; }
+
+    const pinnedColumns = this._pinnedColumnCount;
+    const pinnedRows    = this._pinnedRowCount;
+
+    const columns = {
+      pool:  this._poolColumns,
+      start: getWindowStart({
+        cellSize: cellWidth,
+        count:    this.columnCount,
+        hostSize: this._hostBbox?.width,
+        pinned:   pinnedColumns,
+        pool:     this._poolColumns,
+        scroll:   scrollLeft
+      })
+    };
+
+    const rows = {
+      pool:  this._poolRows,
+      start: getWindowStart({
+        cellSize: cellHeight,
+        count:    this.items.length,
+        hostSize: this._hostBbox?.height,
+        pinned:   pinnedRows,
+        pool:     this._poolRows,
+        scroll:   scrollTop
+      })
+    };
+
+    const windows  = {columns, pinnedColumns, pinnedRows, rows};
+    const previous = this._currentCells || [];
+
+    let changed = previous.length !== containers.length;
+
+    const cells = containers.map((container, index) => {
+
+      const {column, pinnedColumn, pinnedRow, row} = this.__getCellPosition(index, windows);
+
+      // Offsets are relative to the cell's region.
+      const x         = ((pinnedColumn ? column : column - pinnedColumns) * cellWidth)  || 0;
+      const y         = ((pinnedRow    ? row    : row    - pinnedRows)    * cellHeight) || 0;
+      const transform = `translate(${x}px, ${y}px)`;
+      const item      = this.items[row];
+
+      if (container.previous !== transform) {
+
+        container.previous           = transform; // Cache for next move.
+        container.style['transform'] = transform;
+      }
+
+      container.column = column;
+      container.row    = row;
+
+      if (
+        previous[index]?.column !== column ||
+        previous[index]?.row    !== row    ||
+        previous[index]?.item   !== item
+      ) {
+        changed = true;
+      }
+
+      return {column, item, row};
+    });
+
+    if (!changed) { return; }
+
+    this._currentCells = cells;
+  }
+
+  // Size the regions to the full extent of the grid, so it scrolls natively.
+  __updateScrollSize(rowCount = 0, columnCount = 0, pinnedRows, pinnedColumns, cellHeight, cellWidth) {
+
+    if (!cellHeight || !cellWidth) { return; }
+
+    this.updateStyles({
+      '--body-height':   `${(rowCount    - pinnedRows)    * cellHeight}px`,
+      '--body-width':    `${(columnCount - pinnedColumns) * cellWidth}px`,
+      '--pinned-height': `${pinnedRows    * cellHeight}px`,
+      '--pinned-width':  `${pinnedColumns * cellWidth}px`
+    });
+  }
+
+  // Measure the cells that the IntersectionObserver reports as
+  // intersecting, against the area not covered by pinned cells.
+  async __updateVisibleRange(entries) {
+
+    if (!entries || !this.items?.length || !this._cellHeight || !this._cellWidth) { return; }
+
+    await schedule(); // Wait for cells to be moved.
+
+    const bbox          = this.getBoundingClientRect();
+    const pinnedColumns = this._pinnedColumnCount;
+    const pinnedRows    = this._pinnedRowCount;
+
+    // Only pinned cells are displayed.
+    const pinnedOnly = pinnedRows    === this.items.length ||
+                       pinnedColumns === this.columnCount;
+
+    const top    = bbox.top  + (pinnedOnly ? 0 : pinnedRows    * this._cellHeight);
+    const left   = bbox.left + (pinnedOnly ? 0 : pinnedColumns * this._cellWidth);
+    const bottom = bbox.top  + this.clientHeight;
+    const right  = bbox.left + this.clientWidth;
+
+    const visible = this._entries.
+                      filter(entry => entry.isIntersecting).
+                      map(entry => entry.target).
+                      filter(cell => 
+                        typeof cell.row === 'number' &&
+                        (pinnedOnly || (cell.row >= pinnedRows && cell.column >= pinnedColumns))).
+                      filter(cell => {
+
+                        const rect = cell.getBoundingClientRect();
+
+                        return rect.bottom > top  && rect.top  < bottom &&
+                               rect.right  > left && rect.left < right;
+                      });
+
+    if (!visible.length) { return; }
+
+    const rows     = visible.map(cell => cell.row);
+    const columns  = visible.map(cell => cell.column);
+    const previous = this._visibleRange;
+
+    const range = {
+      firstColumn: Math.min(...columns),
+      firstRow:    Math.min(...rows),
+      lastColumn:  Math.max(...columns),
+      lastRow:     Math.max(...rows)
+    };
+
+    if (
+      previous?.firstColumn === range.firstColumn &&
+      previous?.firstRow    === range.firstRow    &&
+      previous?.lastColumn  === range.lastColumn  &&
+      previous?.lastRow     === range.lastRow
+    ) {
+      return;
+    }
+
+    this._visibleRange = range;
+
+    this.fire('lite-grid-visible-range-changed', {value: range});
+  }
+
+
+  async __domChangeHandler(event) {
+
+    consumeEvent(event);
+
+    await schedule(); // Wait for DOM rendering to settle.
+
+    // Each region has its own repeater.
+    this._containers = this.selectAll('.cell').sort((a, b) => a.index - b.index);
+  }
+
+
+  __scrollHandler(event) {
+
+    consumeEvent(event);
+
+    window.requestAnimationFrame(() => {
+      this._scrollLeft = this.scrollLeft;
+      this._scrollTop  = this.scrollTop;
+    });
+  }
+
+}
+
+window.customElements.define(LiteGrid.is, LiteGrid);
@@ -8,7 +8,14 @@
   *   even for very large lists.
   *
   *
-  *   NOTE: Currently, it is REQUIRED that all elements have identical dimensions.
+  *   Each container is labeled with 'listitem' ARIA semantics ('aria-posinset'
+  *   and 'aria-setsize'), based on the position of the item it currently
+  *   displays within the entire 'items' collection.
+  *
+  *
+  *   NOTE: By default, it is REQUIRED that all elements have identical dimensions.
+  *         Set 'variable' to allow items of differing heights/widths,
+  *         or set 'layout' to 'masonry' for multiple columns of differing heights.
   *
   *
   *  Example Usage:
@@ -68,6 +75,14 @@
   *  
   *   ```
   *
+  *   Or, without a template repeater, see 'renderItem'.
+  *
+  *   ```
+  *     list.renderItem = (item, index, element) => {
+  *       element.textContent = item.name;
+  *     };
+  *   ```
+  *
   *   my-polymer-elements/pup-list.html
   *
   *   ```
@@ -113,6 +128,79 @@
   *
   *
   *
+  *   animate - Optional, Boolean, Default: undefined
+  *
+  *     Set to animate item insertions, removals and moves when 'items' changes.
+  *     Items are tracked by identity, or by key when 'itemKey' is set.
+  *     No animations are run when the user prefers reduced motion.
+  *
+  *
+  *
+  *   animationDuration - Optional, Number, Default: 250
+  *
+  *     Duration of item animations, in milliseconds.
+  *
+  *
+  *
+  *   anchor - Optional, String, Default: 'start', Valid values: 'start', 'end'
+  *
+  *     Set to 'end' for chat and activity logs. The list starts scrolled to 
+  *     its last item, stays pinned to the end as new items are appended, 
+  *     and keeps the viewport stable when older items are prepended.
+  *
+  *     Prepended items are detected by key when 'itemKey' is set,
+  *     otherwise by item identity.
+  *
+  *
+  *
+  *   activeIndex - Optional, Number, Default: 0
+  *
+  *     The index of the item in 'items' that currently has keyboard focus.
+  *
+  *     Arrow keys move by one item or one row/column, Home/End move to the
+  *     first/last item and PageUp/PageDown move by one viewport of items.
+  *     Focus follows the active item as containers are recycled.
+  *
+  *
+  *
+  *   columns - Optional, Number or Object, Default: undefined
+  *
+  *     The number of items per row ('vertical' and 'masonry' layouts), 
+  *     or per column ('horizontal' layouts). Drives both the CSS grid 
+  *     template and the recycling math.
+  *
+  *     An Object maps minimum host widths to counts, 
+  *     ie. {0: 1, 600: 2, 1024: 4}, for responsive layouts.
+  *
+  *     Inferred from the size of the first item when not set.
+  *
+  *
+  *
+  *   gap - Optional, Number, Default: 0
+  *
+  *     Space between items, in pixels. Use this instead of 
+  *     a CSS 'gap', so it is included in row/column sizes.
+  *
+  *
+  *
+  *   impressions - Optional, Boolean, Default: undefined
+  *
+  *     Set to fire 'lite-list-item-visible' and 'lite-list-item-hidden'.
+  *
+  *
+  *
+  *   impressionDwell - Optional, Number, Default: 1000
+  *
+  *     Milliseconds an item must remain visible before it counts as an impression.
+  *
+  *
+  *
+  *   impressionRatio - Optional, Number, Default: 0.5
+  *
+  *     Between 0 and 1, the portion of an item that must be visible.
+  *
+  *
+  *
   *   infinite - Optional, Boolean, Default: undefined
   *
   *     Will start back at beginning of 'items' when scrolled past the last
@@ -120,6 +208,20 @@
   *   
   *
   *
+  *   itemKey - Optional, String or Function, Default: undefined
+  *
+  *     A field name, or a function that is called with each item 
+  *     and its index, that returns a unique key for the item.
+  *
+  *     Used to track state, such as selection, across changes to 'items'.
+  *     Item indexes are used as keys when not set.
+  *
+  *     When set, the topmost/leftmost visible item stays in place as 'items'
+  *     is replaced or spliced, and 'variable' and 'masonry' containers keep
+  *     displaying the same item, so any DOM state they hold is preserved.
+  *
+  *
+  *
   *   items - Required, Array, Default: undefined
   *
   *     The collection used to 'hydrate' each repeated element.
@@ -131,12 +233,111 @@
   *    
   *
   *
-  *   layout - Optional, String, Default: 'vertical', Valid values: 'vertical', 'horizontal'
+  *   filter - Optional, Function, Default: undefined
+  *
+  *     Called with each item and its index in 'items'. Return true to 
+  *     display the item. 'items' is not modified, so changing the filter,
+  *     ie. as a search term changes, does not require rebuilding it.
+  *
+  *
+  *
+  *   sort - Optional, Function, Default: undefined
+  *
+  *     Compare function, called with two items, the same as 'Array.prototype.sort'.
+  *     Items that compare equally remain in 'items' order.
+  *
+  *     When 'filter' or 'sort' is set, the list displays a view of 'items', 
+  *     and all indexes used by properties, methods and callbacks are indexes
+  *     into that view. Events also include the 'sourceIndex' of items in 'items'.
+  *     The topmost/leftmost visible item, or the nearest one that is still 
+  *     displayed, stays in place as the view changes.
+  *
+  *
+  *
+  *   selection - Optional, String, Default: undefined, Valid values: 'single', 'multiple'
+  *
+  *     Enables selecting items by click/tap and the Space key.
+  *     In 'multiple' mode, Ctrl/Cmd + click toggles an item, 
+  *     and Shift + click selects a range.
+  *
+  *     Selection is kept by item key, so it survives container recycling.
+  *     Containers reflect a 'selected' attribute while they display a 
+  *     selected item. 
+  *
+  *     Methods: select(index), deselect(index), toggle(index), 
+  *     selectRange(from, to), clearSelection(), isSelected(index)
+  *     and the 'selectedItems' getter.
+  *
+  *
+  *
+  *   layout - Optional, String, Default: 'vertical', Valid values: 'vertical', 'horizontal', 'masonry'
   *      
   *     Determines whether the list should scroll vertically or horizontally.
   *
+  *     'masonry' scrolls vertically, placing each item into the shortest 
+  *     column. Item heights are measured, as with 'variable', unless 
+  *     provided by 'itemSize'. As with 'variable', 'infinite' is ignored.
+  *
+  *     'horizontal' layouts follow the writing direction of the host, so in
+  *     'dir="rtl"' documents the first item is at the right edge and the list
+  *     scrolls toward the left. ArrowLeft/ArrowRight are mirrored to match.
+  *
+  *
+  *
+  *   itemSize - Optional, Function, Default: undefined
+  *
+  *     'masonry' only. Called with each item and its index. Returns 
+  *     the item's known height in pixels, or undefined to measure it.
+  *
   *
   *    
+  *   scrubber - Optional, Boolean, Default: false
+  *
+  *     Displays a fast-scroll track along the visible edge of the list.
+  *     Dragging along the track moves to the item at that relative position.
+  *     Style with the 'scrubber', 'scrubber-thumb' and 'scrubber-label' parts.
+  *
+  *
+  *
+  *   scrubberLabel - Optional, Function, Default: undefined
+  *
+  *     Called with an item and its index while scrubbing. 
+  *     Returns a String for the bubble label, ie. a letter, date or page.
+  *
+  *
+  *
+  *   scrollTarget - Optional, Element or String, Default: undefined (window)
+  *
+  *     The element that scrolls a 'vertical' layout. An element, 
+  *     'host' for `lite-list` itself, or undefined for the window.
+  *
+  *     This allows lists to be placed inside of scrolling panels, 
+  *     drawers or dialogs. When using an external element, size
+  *     `lite-list` to the visible height of that element.
+  *
+  *     'horizontal' layouts always scroll the host element.
+  *
+  *
+  *
+  *   loading - Optional, Boolean, Default: false
+  *
+  *     Set while a fetch is pending. Displays the 'loading' slot after the 
+  *     last item, or before the first item when 'anchor' is 'end'. The items
+  *     are offset by the size of the slot in that case, so it does not cover them.
+  *
+  *
+  *
+  *   rangeThreshold - Optional, Number, Default: 10
+  *
+  *     How close to the end/start of the list before firing 
+  *     'lite-list-range-end-reached'/'lite-list-range-start-reached'.
+  *
+  *
+  *
+  *   rangeThresholdUnit - Optional, String, Default: 'items', Valid values: 'items', 'viewports'
+  *
+  *
+  *
   *   margin - Optional, Number, Default: 4
   *    
   *     The size of `lite-list` is multiplied by
@@ -160,10 +361,152 @@
   *    
   *
   *
+  *   renderAll - Optional, Boolean, Default: false
+  *
+  *     Stamps every item in its own container, in normal document flow,
+  *     instead of recycling a few translated containers. Set automatically
+  *     between 'beforeprint' and 'afterprint', so printed pages include
+  *     every item. The virtualized state and scroll position are restored 
+  *     when unset. Use sparingly with very large lists.
+  *
+  *
+  *
+  *   renderItem - Optional, Function, Default: undefined
+  *
+  *     Called with (item, index, element) to render an item directly into 
+  *     an element which `lite-list` creates and slots for each container. 
+  *     Replaces the need for a template repeater, so any framework, 
+  *     or none, can be used. Missing items are not rendered.
+  *
+  *
+  *
+  *   createItem - Optional, Function, Default: undefined
+  *
+  *     'renderItem' only. Called with a container index. 
+  *     Returns a new element to render into. Defaults to a 'div'.
+  *
+  *
+  *
+  *   recycleItem - Optional, Function, Default: undefined
+  *
+  *     'renderItem' only. Called with (element, item, index) before 
+  *     an element is reused for a different item, or removed.
+  *
+  *
+  *
+  *   variable - Optional, Boolean, Default: false
+  *
+  *     Set to allow items with different heights ('vertical' layout)
+  *     or widths ('horizontal' layout). 
+  *
+  *     Items are measured as they render and their sizes are cached by index.
+  *     Unmeasured items are estimated from the average of measured ones.
+  *
+  *     Only one item per row/column is supported, and 'infinite' is ignored.
+  *
+  *
+  *
+  *   sectionOf - Optional, Function, Default: undefined
+  *
+  *     Grouping function, called with each item and its index.
+  *     Returns the section value for that item. Consecutive items that
+  *     share the same value are grouped into the same section.
+  *
+  *
+  *
+  *   sections - Optional, Array, Default: undefined
+  *
+  *     Alternative to 'sectionOf'. Item indexes where each section begins,
+  *     or objects that include the section value,
+  *     ie. [0, 12, 30] or [{index: 0, section: 'A'}, {index: 12, section: 'B'}]
+  *
+  *
+  *
+  *   tree - Optional, Array, Default: undefined
+  *
+  *     Nested data, ie. folder trees or threaded comments. Replaces 'items', 
+  *     which is set to the nodes of expanded branches, flattened depth first.
+  *     Expanded state is kept by 'itemKey', or by node identity when not set.
+  *
+  *     Containers expose the node depth as a '--depth' CSS custom property 
+  *     for indentation, and have an 'expanded' attribute and part. Slotted 
+  *     elements with a 'tree-toggle' attribute expand/collapse their row.
+  *
+  *     Methods: expand(index), collapse(index), toggleExpanded(index),
+  *     isExpanded(index) and getTreeNode(index).
+  *
+  *
+  *
+  *   treeChildren - Optional, String or Function, Default: 'children'
+  *
+  *     The field name of each node's children, or a function 
+  *     that is called with a node and returns its children.
+  *
+  *
+  *
+  *
+  *  Methods:
+  *
+  *
+  *
+  *   animateToIndex(index, position) - Smooth scroll to an item. 
+  *                                     'position' is 'start', 'center' or 'end'.
+  *                                     Resolves once scrolling has settled.
+  *
+  *
+  *   moveToIndex(index, position) - Instant move to an item.
+  *
+  *
+  *   scrollToItem(itemOrKey, {position, behavior}) - Scroll to an item, or to the item
+  *                                                   with a matching key when 'itemKey'
+  *                                                   is set. 'position' is 'start',
+  *                                                   'center', 'end' or 'nearest', which
+  *                                                   does not scroll when the item is
+  *                                                   already in view. 'behavior' is
+  *                                                   'smooth' (default) or 'instant'.
+  *                                                   Resolves once scrolling settles and
+  *                                                   containers are repositioned, and
+  *                                                   rejects if the item is not in 'items',
+  *                                                   or the list is detached or cannot be
+  *                                                   measured, ie. while hidden.
+  *
+  *
+  *   getScrollState() - Returns a serializable anchor of the current position,
+  *                      {count, index, key, layout, offset}, where 'offset' is the
+  *                      scrolled distance in pixels past the start of the item,
+  *                      and 'key' is only included when 'itemKey' is set.
+  *
+  *
+  *   restoreScrollState(state) - Reapplies a state from 'getScrollState', once the
+  *                               list is stamped. When 'itemKey' is set, the anchor
+  *                               item is found by key, even if 'items' has changed.
+  *                               Rejects if the list is detached or cannot be measured.
+  *
+  *
+  *   exportFragment() - Resolves to a detached DocumentFragment, which holds a copy
+  *                      of every rendered item, in display order. Every item is
+  *                      stamped, as with 'renderAll', until the copy is made.
+  *                      Rejects if every item could not be rendered.
+  *
+  *
+  *   getSourceIndex(index) - Returns the index in 'items' of a displayed item.
+  *
+  *
+  *   getViewIndex(sourceIndex) - Returns the displayed index of an item in 'items',
+  *                               or -1 when it is excluded by 'filter'.
+  *
+  *
+  *
   *
   *  Events:
   *
   *
+  *   'lite-list-active-index-changed', {sourceIndex, value: index}
+  *
+  *     Fired when the keyboard focused item changes.
+  *
+  *
+  *
   *   'lite-list-current-items-changed', {value: items}
   *
   *     Detail value is an array which is a subset of the provided 'items' array. 
@@ -172,12 +515,57 @@
   *
   *
   * 
-  *   'lite-list-pagination-changed', {value: {count, direction, index, itemBbox, parentBbox, per}} 
+  *   'lite-list-pagination-changed', {value: {count, direction, index, itemBbox, parentBbox, per, section, sourceIndex}} 
   *
   *     Detail value is an object that contains information 
   *     about the list state that is useful for paginating results.
   *     'index' represents the current topmost/leftmost visible item.
-  *     'count' is only a hint to the developer.
+  *     'count' is only a hint to the developer, 
+  *     see 'lite-list-visible-range-changed' for exact indexes.
+  *     'section' is the current section object when grouped, 
+  *     see 'lite-list-current-section-changed'.
+  *
+  *
+  *
+  *   'lite-list-items-missing', {value: {indexes, sourceIndexes}}
+  *
+  *     Fired when containers are displaying items which are missing 
+  *     from 'items' (holes, or undefined), so they can be fetched.
+  *     Those containers display a copy of the 'placeholder' slotted 
+  *     element until the data arrives, ie.
+  *
+  *       <div slot="placeholder" class="skeleton"></div>
+  *
+  *
+  *
+  *   'lite-list-item-visible', {value: {dwell, index, item, sourceIndex}}
+  *
+  *     Fired once per appearance of an item, after it has remained
+  *     visible for 'impressionDwell'. Requires 'impressions'.
+  *
+  *
+  *
+  *   'lite-list-item-hidden', {value: {dwell, index, item, sourceIndex}}
+  *
+  *     Fired when a counted item leaves the viewport.
+  *     'dwell' is the total time, in milliseconds, it was visible.
+  *
+  *
+  *
+  *   'lite-list-current-section-changed', {value: {index, section, start}}
+  *
+  *     Fired when a section boundary passes the top/left edge of the viewport.
+  *     Use this to render the current section header into the 
+  *     'section-header' slot, which stays at the top/left edge.
+  *     'value' is undefined before the first section.
+  *
+  *       <div slot="section-header">[[_section.section]]</div>
+  *
+  *
+  *
+  *   'lite-list-expanded-changed', {value: {expanded, index, item, key, sourceIndex}}
+  *
+  *     Fired when a 'tree' node is expanded or collapsed.
   *
   *
   *
@@ -187,11 +575,55 @@
   *     This info is used internally to determine how many recycleable elements to stamp out.
   * 
   * 
+  *   'lite-list-selection-changed', {value: {indexes, items, keys, sourceIndexes}}
+  *
+  *     Fired when the selection changes. 'items' are in display order, 
+  *     along with their 'indexes' and 'sourceIndexes' in 'items'.
+  *
+  *
+  *
+  *   'lite-list-range-end-reached', {value: {index, length, sourceIndex}}
+  *
+  *     Fired once as the list is scrolled to within 'rangeThreshold' of 
+  *     its last item, ie. to load more. 'index' is the last visible item.
+  *     Rearmed when scrolled back out of the threshold, or 'items' length changes.
+  *
+  *
+  *
+  *   'lite-list-range-start-reached', {value: {index, length, sourceIndex}}
+  *
+  *     The same as above, but when scrolling in reverse toward the first item.
+  *
+  *
+  *
+  *   'lite-list-render-all-changed', {value: Boolean}
+  *
+  *     Fired once every item has been stamped for 'renderAll', or for printing,
+  *     and again once the virtualized state has been restored.
+  *
+  *
+  *
+  *   'lite-list-scrubbing-changed', {value: Boolean}
+  *
+  *     Fired when the user starts and stops dragging the scrubber.
+  *
+  *
+  *
   *   'lite-list-scroll-changed', {value: Num <scroll position in pixels>}
   *   
   *     Use cautiously, as misuse can easily have negative performance impacts.
   *
   *
+  *
+  *   'lite-list-visible-range-changed', {value: {count, first, last, length, sourceFirst, sourceLast}}
+  *
+  *     'first' and 'last' are the exact indexes of the first and last items 
+  *     that are at least partially visible, in display order. 'count' is the 
+  *     number of visible items, and 'length' is that of the displayed items, 
+  *     ie. for '3 of 200' indicators. 'sourceFirst' and 'sourceLast' are the
+  *     indexes of the same items in 'items'.
+  *
+  *
   *   @customElement
   *   @polymer
   *   @demo demo/index.html
@@ -202,9 +634,44 @@
 
 import {AppElement} from '@longlost/app-core/app-element.js';
 
+import {AnchorMixin} from './anchor-mixin.js';
+
+import {AnimationMixin} from './animation-mixin.js';
+
+import {AriaMixin} from './aria-mixin.js';
+
 import {DomObserversMixin} from './dom-observers-mixin.js';
 
+import {ImpressionsMixin} from './impressions-mixin.js';
+
+import {ItemKeyMixin} from './item-key-mixin.js';
+
+import {KeyboardMixin} from './keyboard-mixin.js';
+
+import {MasonryMixin} from './masonry-mixin.js';
+
+import {PlaceholderMixin} from './placeholder-mixin.js';
+
+import {PrintMixin} from './print-mixin.js';
+
+import {RangeMixin} from './range-mixin.js';
+
+import {RenderMixin} from './render-mixin.js';
+
+import {ScrubberMixin} from './scrubber-mixin.js';
+
+import {SelectionMixin} from './selection-mixin.js';
+
+import {SectionsMixin} from './sections-mixin.js';
+
+import {TreeMixin} from './tree-mixin.js';
+
+import {VariableSizeMixin} from './variable-size-mixin.js';
+
+import {ViewMixin} from './view-mixin.js';
+
 import {
+  clamp,
   compose,
   head,
   split,
@@ -213,7 +680,9 @@ import {
 
 import {
   consumeEvent,
-  schedule
+  listenOnce,
+  schedule,
+  wait
 } from '@longlost/app-core/utils.js';
 
 import template from './lite-list.html';
@@ -244,9 +713,9 @@ const getOffset = (hostSize, sampleSize, position = 'start') => {
 // Hidden items that are still below the fold need to stay where they are.
 const filterAvailable = ({direction, hidden, layout, visible}) => {
 
-  const reference      = direction === 'forward'  ? head(visible) : tail(visible);
-  const refDim         = layout    === 'vertical' ? 'top'         : 'left';
-  const entryDim       = layout    === 'vertical' ? 'bottom'      : 'right';
+  const reference      = direction === 'forward'    ? head(visible) : tail(visible);
+  const refDim         = layout    !== 'horizontal' ? 'top'         : 'left';
+  const entryDim       = layout    !== 'horizontal' ? 'bottom'      : 'right';
   const refMeasurement = reference.boundingClientRect[refDim];
 
   if (direction === 'forward') {
@@ -257,8 +726,32 @@ const filterAvailable = ({direction, hidden, layout, visible}) => {
   return hidden.filter(entry => entry.boundingClientRect[entryDim] >= refMeasurement);
 };
 
-
-class LiteList extends DomObserversMixin(AppElement) {
+// Stop waiting for a scroll to settle after roughly 5 seconds 
+// at 60fps, ie. when the user keeps scrolling during a smooth scroll.
+const SETTLE_MAX_FRAMES = 300;
+
+// Milliseconds to wait for the first container to be measured.
+const MEASURE_TIMEOUT = 2000;
+
+
+class LiteList extends TreeMixin(
+                         ItemKeyMixin(
+                           RenderMixin(
+                             ScrubberMixin(
+                               PlaceholderMixin(
+                                 MasonryMixin(
+                                   ImpressionsMixin(
+                                     RangeMixin(
+                                       AnimationMixin(
+                                         AnchorMixin(
+                                           SelectionMixin(
+                                             AriaMixin(
+                                               KeyboardMixin(
+                                                 SectionsMixin(
+                                                   VariableSizeMixin(
+                                                     ViewMixin(
+                                                       PrintMixin(
+                                                         DomObserversMixin(AppElement)))))))))))))))))) {
 
   static get is() { return 'lite-list'; }
 
@@ -272,6 +765,12 @@ class LiteList extends DomObserversMixin(AppElement) {
       // item in the list when 'infinite' is set.
       infinite: Boolean,
 
+      // A field name String, or a Function that is called with 
+      // each item and its index, which returns a unique key.
+      //
+      // Item indexes are used as keys when not set.
+      itemKey: Object,
+
       // An intermediate value that is used soley for the 
       // purpose of leveraging the class value's 'observer'.
       _allHidden: {
@@ -299,7 +798,7 @@ class LiteList extends DomObserversMixin(AppElement) {
 
       _data: {
         type: Array,
-        computed: '__computeData(infinite, items, _containerCount, _start)'
+        computed: '__computeData(_infinite, _items.*, _containerCount, _start)'
       },
 
       // The current scroll direction.
@@ -312,17 +811,27 @@ class LiteList extends DomObserversMixin(AppElement) {
       // items coming into view vs. going out of view.
       _incomingHidden: Array,
 
+      // 'infinite' is ignored by 'variable' and 'masonry' layouts, 
+      // since their containers are placed by item offsets.
+      _infinite: {
+        type: Boolean,
+        computed: '__computeInfinite(infinite, _positioned)'
+      },
+
       _maxSize: {
         type: Number,
-        computed: '__computeMaxSize(infinite, items.length, _containersPer, _sampleSize)'
+        computed: '__computeMaxSize(_infinite, _items.length, _containersPer, _sampleSize)'
       },
 
-      // This current scrolled distance of the host element or window.
+      // This current scrolled distance of the scroll target.
       _scroll: {
         type: Number,
         observer: '__scrollChanged'
       },
 
+      // Only used to remove listeners from a prior scroll target.
+      _scrollListenerTarget: Object,
+
       _sections: {
         type: Number,
         computed: '__computeSections(_containerCount, _containersPer)'
@@ -336,12 +845,12 @@ class LiteList extends DomObserversMixin(AppElement) {
       _start: {
         type: Number,
         value: 0,
-        computed: '__computeStart(infinite, items.length, _virtualStart)'
+        computed: '__computeStart(_infinite, _items.length, _virtualStart, _renderingAll)'
       },
 
       _stopRecycling: {
         type: Boolean,
-        computed: '__computeStopRecycling(infinite, items.length, _containerCount, _virtualStart)'
+        computed: '__computeStopRecycling(_infinite, _items.length, _containerCount, _virtualStart)'
       },
 
       _translate: {
@@ -358,13 +867,16 @@ class LiteList extends DomObserversMixin(AppElement) {
       _virtualIndex: {
         type: Number,
         value: 0,
-        computed: '__computeVirtualIndex(layout, _sampleBbox, _containersPer, _scroll)'
+        computed: '__computeVirtualIndex(layout, _sampleBbox, _sampleSize, _containersPer, _scroll, _positioned, _offsets)'
       },
 
       _virtualStart: {
         type: Number,
         value: 0
-      }
+      },
+
+      // The last reported 'lite-list-visible-range-changed' value.
+      _visibleRange: Object
 
     };
   }
@@ -374,17 +886,22 @@ class LiteList extends DomObserversMixin(AppElement) {
     return [
       '__currentItemsChanged(_currentItems)',
       '__hostSizeChanged(_hostSize)',
-      '__layoutChanged(layout)',
       '__maxCountChanged(_maxContainerCount)',
       '__moveAvailableContainers(_sorted)',
       '__rootMarginChanged(_rootMargin)',
+      '__rtlChanged(_rtl)',
+      '__scrollTargetChanged(_scrollTarget)',
       '__sampleBboxChanged(_sampleBbox)',
       '__updateAllHidden(_hidden)',
 
       // '_containers' only used as a synchronization trigger.
       '__updateCurrentItems(_data, _containers)',
+      '__updateGridTemplate(_columnCount, gap)',
       '__updatePagination(_virtualIndex, _containerCount)',
-      '__updateVirtualStart(_sorted)'
+      '__updateVirtualStart(_sorted)',
+
+      // '_currentItems' and '_scroll' only used as synchronization triggers.
+      '__updateVisibleRange(_entries, _currentItems, _scroll, _containers)'
     ];
   }
 
@@ -402,8 +919,7 @@ class LiteList extends DomObserversMixin(AppElement) {
 
     super.disconnectedCallback();
 
-    window.removeEventListener('scroll', this.__windowScrollHandler);
-    this.removeEventListener(  'scroll', this.__hostScrollHandler);
+    this.__removeScrollListener();
   }
 
 
@@ -423,9 +939,12 @@ class LiteList extends DomObserversMixin(AppElement) {
   }
 
 
-  __computeData(infinite, items, count, start) {
+  // Use 'items.*' so that splices are reflected immediately.
+  __computeData(infinite, polymerObj, count, start) {
+
+    const items = polymerObj?.base;
 
-    if (!items || typeof start !== 'number') { return; }
+    if (!Array.isArray(items) || typeof start !== 'number') { return; }
 
     const end    = start + count;
     const length = items.length;
@@ -443,6 +962,12 @@ class LiteList extends DomObserversMixin(AppElement) {
     return items.slice(start, end);
   }
 
+
+  __computeInfinite(infinite, positioned) {
+
+    return Boolean(infinite && !positioned);
+  }
+
   // undefined return values to be ignored.
   __computeMaxSize(infinite, length, per, size) {
 
@@ -468,17 +993,19 @@ class LiteList extends DomObserversMixin(AppElement) {
 
     return containers.
              map(container => ({
-               boundingClientRect: container.getBoundingClientRect(),
+               boundingClientRect: this.__getLogicalRect(container.getBoundingClientRect()),
                target:             container
              })).
-             sort((a, b) => // Sort ascending.
-               a.boundingClientRect[side] - b.boundingClientRect[side]);
+             sort((a, b) => // Sort ascending, then by grid cell, see 'ItemKeyMixin'.
+               a.boundingClientRect[side] - b.boundingClientRect[side] ||
+               (a.target.cell ?? a.target.index) - (b.target.cell ?? b.target.index));
   }
 
 
-  __computeStart(infinite, length, virtualStart) {
+  __computeStart(infinite, length, virtualStart, all) {
 
-    if (!length) { return 0; }
+    // Every item is stamped, starting with the first.
+    if (!length || all) { return 0; }
 
     // Number of iteration cycles over 'items'.
     const multiple = Math.floor(virtualStart / length);
@@ -504,7 +1031,7 @@ class LiteList extends DomObserversMixin(AppElement) {
 
   __computeTranslate(layout) {
 
-    return layout === 'vertical' ? 'translateY' : 'translateX';
+    return layout !== 'horizontal' ? 'translateY' : 'translateX';
   }
 
 
@@ -516,7 +1043,7 @@ class LiteList extends DomObserversMixin(AppElement) {
   }
 
 
-  __computeVirtualIndex(layout, sampleBbox, per, scroll) {
+  __computeVirtualIndex(layout, sampleBbox, sampleSize, per, scroll, positioned, offsets) {
 
     if (
       !layout     || 
@@ -527,13 +1054,21 @@ class LiteList extends DomObserversMixin(AppElement) {
       return 0; 
     }
 
-    const {height, left, top, width} = sampleBbox;
+    if (positioned) {
+
+      if (!offsets) { return 0; }
+
+      return this.__getVariableFirstIndex(scroll);
+    }
+
+    const {height, left, top, width} = this.__getLogicalRect(sampleBbox);
 
     if (!height || !width) { return 0; }
 
-    const beginning = layout === 'vertical' ? top    : left;
-    const size      = layout === 'vertical' ? height : width;
-    const section   = Math.floor(Math.abs((scroll - beginning) / size));
+    // The sample's viewport position is only valid for the window.
+    const vertTop   = this._scrollTarget === window ? top : this.__getListStart();
+    const beginning = layout !== 'horizontal' ? vertTop : left;
+    const section   = Math.floor(Math.abs((scroll - beginning) / sampleSize));
 
     return section * per;
   }
@@ -573,18 +1108,39 @@ class LiteList extends DomObserversMixin(AppElement) {
   }
 
 
-  __layoutChanged(layout) {
+  __removeScrollListener() {
+
+    const target = this._scrollListenerTarget;
+
+    if (!target) { return; }
+
+    target.removeEventListener('scroll', this.__hostScrollHandler);
+    target.removeEventListener('scroll', this.__windowScrollHandler);
+
+    this._scrollListenerTarget = undefined;
+  }
+
+
+  __scrollTargetChanged(target) {
+
+    this.__removeScrollListener();
+
+    // Allows the host to be scrolled in 'vertical' layouts.
+    this.toggleAttribute('scrolls', target === this);
 
-    if (!layout) { return; }
+    if (!target) { return; }
 
-    if (layout === 'vertical') {
-      this.removeEventListener('scroll', this.__hostScrollHandler);
-      window.addEventListener( 'scroll', this.__windowScrollHandler);
+    if (target === this) {
+      this.addEventListener('scroll', this.__hostScrollHandler);
     }
     else {
-      window.removeEventListener('scroll', this.__windowScrollHandler);
-      this.addEventListener(     'scroll', this.__hostScrollHandler);
+
+      // Window or an external scrolling element.
+      target.addEventListener('scroll', this.__windowScrollHandler);
     }
+
+    this._scrollListenerTarget = target;
+    this._scroll               = this.__getCurrentScroll();
   }
 
   // NOTE:
@@ -603,10 +1159,33 @@ class LiteList extends DomObserversMixin(AppElement) {
   }
 
 
+  // Right-to-left 'horizontal' layouts translate toward the left.
+  __getTranslation(distance) {
+
+    const directed = this._rtl ? -distance : distance;
+
+    return `${this._translate}(${directed}px)`;
+  }
+
+
   __move(container, position) {
 
     container.previous           = position; // Cache for next move.
-    container.style['transform'] = `${this._translate}(${position}px)`;
+    container.style['transform'] = this.__getTranslation(position);
+  }
+
+  // Translations are directed, so reapply 
+  // them when the writing direction changes.
+  __rtlChanged() {
+
+    if (!this._containers) { return; }
+
+    this._containers.forEach(container => {
+
+      if (typeof container.previous !== 'number') { return; }
+
+      this.__move(container, container.previous);
+    });
   }
 
 
@@ -614,8 +1193,9 @@ class LiteList extends DomObserversMixin(AppElement) {
 
     const getNum = compose(split('%'), head, split('px'), head);
 
-    const str = this.layout === 'vertical' ? this._marginTop : this._marginLeft;
-    const num = Number(getNum(str));
+    const leading = this._rtl ? this._marginRight : this._marginLeft;
+    const str     = this.layout !== 'horizontal' ? this._marginTop : leading;
+    const num     = Number(getNum(str));
 
     const isPercent = str.includes('%');
 
@@ -633,6 +1213,11 @@ class LiteList extends DomObserversMixin(AppElement) {
   // Also used to correct for programmic scrolling by 'moveToIndex' public method.
   async __reposition() {
 
+    if (this._positioned) {
+
+      return this.__repositionVariable();
+    }
+
     await schedule();
 
     if (typeof this._containerIndex !== 'number' || !this._virtualIndex) { return; }
@@ -665,7 +1250,7 @@ class LiteList extends DomObserversMixin(AppElement) {
       // Respect the fact that the list has an end
       // when not in 'infinite' scroll mode. 
       // Therefore, do not place items beyond that point.
-      if (!this.infinite) {
+      if (!this._infinite) {
 
         // Check if the container would be available to be shifted forward.
         // In this case, if it is placed before the viewport edge + rootMargin.
@@ -746,18 +1331,18 @@ class LiteList extends DomObserversMixin(AppElement) {
 
     const getNewPlacement = side => side + this._scroll + this._travel;
 
-    const {length} = this.items;
+    const {length} = this._items;
 
-    const movables = this.infinite ? available : available.filter(entry => {
+    const movables = this._infinite ? available : available.filter(entry => {
 
       const {boundingClientRect, target} = entry;
       const {height, left, top, width}   = boundingClientRect;
 
       // 'top'/'left' are relative to the viewport, so can be a negative values.
-      const scrollSide = this.layout === 'vertical' ? top    : left;
-      const scrollDim  = this.layout === 'vertical' ? height : width;
-      const perSide    = this.layout === 'vertical' ? left   : top;
-      const perDim     = this.layout === 'vertical' ? width  : height;
+      const scrollSide = this.layout !== 'horizontal' ? top    : left;
+      const scrollDim  = this.layout !== 'horizontal' ? height : width;
+      const perSide    = this.layout !== 'horizontal' ? left   : top;
+      const perDim     = this.layout !== 'horizontal' ? width  : height;
 
       // Calculate the future position. 
       const placement   = getNewPlacement(scrollSide);
@@ -813,6 +1398,7 @@ class LiteList extends DomObserversMixin(AppElement) {
   async __moveAvailableContainers(sorted) {
 
     if (
+      this._positioned ||
       !this._direction ||
       !sorted          || 
       !sorted.length   || 
@@ -877,7 +1463,7 @@ class LiteList extends DomObserversMixin(AppElement) {
     // Programmic scrolling includes built-in scroll to top functionality 
     // on Apple touch devices (when top of ui chrome is tapped), as
     // well as calls to window.scrollTo(0).
-    if (newVal === 0 && oldVal > 0 && this._containers) {
+    if (newVal === 0 && oldVal > 0 && this._containers && !this._positioned) {
 
       this._containers.forEach(el => {
         el.previous           = 0;
@@ -911,23 +1497,20 @@ class LiteList extends DomObserversMixin(AppElement) {
 
       if (!data) { return; }
 
-      if (!this._sorted) {
+      // Positions of currently displayed items, prior to remapping.
+      const first = this.__captureFirst();
 
-        this._currentItems = data;
-
-        return;
-      }
+      // Containers are placed by item offsets 
+      // rather than by their current position.
+      const items = this._positioned ? 
+                      this.__mapVariableItems(data) : 
+                      this.__mapItems(data);
 
-      if (data.length !== this._sorted.length) { return; }
+      if (!items) { return; }
 
-      // Arrange data according to container order.
-      this._currentItems = this._sorted.reduce((accum, entry, index) => {
-
-        accum[entry.target.index] = data[index];
-
-        return accum;
-      }, []);
+      this._currentItems = items;
 
+      this.__playAnimations(first);
     }
     catch (error) {
       if (error === 'throttled' || error === 'debounced') { return; }
@@ -935,6 +1518,52 @@ class LiteList extends DomObserversMixin(AppElement) {
     }
   }
 
+  // Arrange data according to container order.
+  __mapItems(data) {
+
+    const {length} = this._items;
+
+    // Track which item each container displays, 
+    // independent of the container's position.
+    const setVirtualIndex = (container, index) => {
+      container.virtualIndex = (this._start + index) % length;
+    };
+
+    if (!this._sorted) {
+
+      this._containers?.forEach(setVirtualIndex);
+
+      return data;
+    }
+
+    if (data.length !== this._sorted.length) { return; }
+
+    // Keyed items stay in their containers.
+    this.__swapKeyedContainers(data);
+
+    return this._sorted.reduce((accum, entry, index) => {
+
+      setVirtualIndex(entry.target, index);
+
+      accum[entry.target.index] = data[index];
+
+      return accum;
+    }, []);
+  }
+
+
+  // Explicit 'columns' and 'gap' drive the CSS grid,
+  // so it always agrees with the recycling math.
+  __updateGridTemplate(count, gap = 0) {
+
+    this.toggleAttribute('fixed-columns', Boolean(count));
+
+    this.updateStyles({
+      '--column-count': `${count || 1}`,
+      '--gap':          `${gap}px`
+    });
+  }
+
 
   __updatePagination(index, count) {
 
@@ -950,18 +1579,90 @@ class LiteList extends DomObserversMixin(AppElement) {
     this.fire('lite-list-pagination-changed', {
       value: {
         count,
-        direction:  this._direction,
+        direction:   this._direction,
         index,
-        itemBbox:   this._sampleBbox,
-        parentBbox: this._hostBbox,
-        per:        this._containersPer // How many items per row/column.
+        itemBbox:    this._sampleBbox,
+        parentBbox:  this._hostBbox,
+        per:         this._containersPer, // How many items per row/column.
+        section:     this.__getSectionAt(index),
+        sourceIndex: this.getSourceIndex(index)
       }
     });
   }
 
 
+  // Containers reported as intersecting by the IntersectionObserver 
+  // include those within the root margin, so only measure those, 
+  // to find the ones that are actually within the viewport.
+  //
+  // Short lists are not observed (see '__containersItemCountChanged'),
+  // so every container is measured instead.
+  async __updateVisibleRange() {
+
+    if (!this._items?.length || !this._containers?.length) { return; }
+
+    await schedule(); // Wait for containers to be moved.
+
+    const bounds = this.__getLogicalRect(this.__getViewportBounds());
+    const start  = this.layout !== 'horizontal' ? 'top'    : 'left';
+    const end    = this.layout !== 'horizontal' ? 'bottom' : 'right';
+    const cross  = this.layout !== 'horizontal' ? 'left'   : 'top';
+
+    const targets = this._intersectionObserver && this._entries ?
+                      this._entries.
+                        filter(entry => entry.isIntersecting).
+                        map(entry => entry.target) :
+                      this._containers;
+
+    const visible = targets.
+                      map(target => ({
+                        index: target.virtualIndex,
+                        rect:  this.__getLogicalRect(target.getBoundingClientRect())
+                      })).
+                      filter(({index, rect}) => 
+                        typeof index === 'number'   &&
+                        rect[end]   > bounds[start] &&
+                        rect[start] < bounds[end]).
+                      sort((a, b) =>
+                        a.rect[start] - b.rect[start] || a.rect[cross] - b.rect[cross]);
+
+    if (!visible.length) { return; }
+
+    // Sorted by position, rather than by index, 
+    // since 'infinite' lists wrap back to the first item.
+    //
+    // Items in the same row/column are ordered along the cross axis.
+    const first       = visible.at(0).index;
+    const last        = visible.at(-1).index;
+    const count       = visible.length;
+    const length      = this._items.length;
+    const sourceFirst = this.getSourceIndex(first);
+    const sourceLast  = this.getSourceIndex(last);
+    const previous    = this._visibleRange;
+
+    // Views can display different items at the same indexes.
+    if (
+      previous?.count       === count       &&
+      previous?.first       === first       &&
+      previous?.last        === last        &&
+      previous?.length      === length      &&
+      previous?.sourceFirst === sourceFirst &&
+      previous?.sourceLast  === sourceLast
+    ) { 
+      return; 
+    }
+
+    this._visibleRange = {count, first, last, length, sourceFirst, sourceLast};
+
+    this.fire('lite-list-visible-range-changed', {value: this._visibleRange});
+  }
+
+
   __updateVirtualStart(sorted) {
 
+    // Handled by 'VariableSizeMixin'.
+    if (this._positioned) { return; }
+
     if (!sorted || !this._virtualIndex) {
 
       this._virtualStart = 0;
@@ -976,22 +1677,199 @@ class LiteList extends DomObserversMixin(AppElement) {
   }
 
 
+  // Distance from the scroll origin to the start of the list,
+  // including any space reserved for the 'loading' slot.
+  __getListStart() {
+
+    return this.__getHostStart() + this._loadingReserve;
+  }
+
+  // Distance from the scroll origin to the start of the host.
+  __getHostStart() {
+
+    const target = this._scrollTarget;
+
+    if (this.layout === 'horizontal' || target === this) { return 0; }
+
+    if (target === window) { return this._hostBbox?.top || 0; }
+
+    // An external scrolling element.
+    const hostTop   = this.getBoundingClientRect().top;
+    const targetTop = target.getBoundingClientRect().top;
+
+    return hostTop - targetTop + target.scrollTop;
+  }
+
+  // Returns the total size of the list along the scroll axis.
+  __getListSize() {
+
+    if (this._positioned) {
+
+      return this._offsets?.at(-1) || 0;
+    }
+
+    return this._maxSize || 0;
+  }
+
+  // Index of the last item that is at least partially visible.
+  __getLastVisibleIndex() {
+
+    const length = this._items?.length;
+
+    if (!length || !this._hostSize || !this._sampleSize) { return 0; }
+
+    const scroll = this._scroll || 0;
+
+    if (this._positioned) {
+
+      return this.__getVariableIndex(scroll + this._hostSize - 1);
+    }
+
+    const end     = scroll - this.__getListStart() + this._hostSize;
+    const section = Math.max(0, Math.ceil(end / this._sampleSize) - 1);
+    const index   = ((section + 1) * this._containersPer) - 1;
+
+    return this._infinite ? index : clamp(0, length - 1, index);
+  }
+
+  // The visible bounds of the scroll target, relative to the viewport.
+  __getViewportBounds() {
+
+    const target = this._scrollTarget;
+
+    if (!target || target === window) {
+
+      return {
+        bottom: window.innerHeight, 
+        left:   0, 
+        right:  window.innerWidth, 
+        top:    0
+      };
+    }
+
+    return target.getBoundingClientRect();
+  }
+
+  // Distance from the start of the list to the item.
+  __getIndexDistance(index) {
+
+    if (this._positioned) {
+
+      return this.__getVariableOffset(index);
+    }
+
+    return this._sampleSize * Math.floor(index / this._containersPer);
+  }
+
+  // Current scroll position of the scroll target.
+  __getCurrentScroll() {
+
+    const target = this._scrollTarget || window;
+
+    if (target === window) { return window.scrollY; }
+
+    if (this.layout !== 'horizontal') { return target.scrollTop; }
+
+    // 'scrollLeft' is negative in right-to-left layouts.
+    return this._rtl ? -target.scrollLeft : target.scrollLeft;
+  }
+
+  // Scroll the scroll target to an absolute position.
+  __scrollTo(scroll, behavior) {
+
+    const target = this._scrollTarget || window;
+
+    if (this.layout !== 'horizontal') {
+      target.scroll({top: scroll, left: 0, behavior});
+    }
+    else {
+      target.scroll({top: 0, left: this._rtl ? -scroll : scroll, behavior});
+    }
+  }
+
+  // Adjust the current scroll position by a relative amount.
+  __shiftScroll(shift) {
+
+    const target = this._scrollTarget || window;
+
+    if (this.layout !== 'horizontal') {
+      target.scrollBy({top: shift, left: 0, behavior: 'instant'});
+    }
+    else {
+      target.scrollBy({top: 0, left: this._rtl ? -shift : shift, behavior: 'instant'});
+    }
+  }
+
+  // Containers must be stamped and measured before
+  // any scroll positions can be calculated.
+  //
+  // Rejects when the list is detached or empty, since
+  // containers will not be measured, or when measuring
+  // takes longer than 'MEASURE_TIMEOUT', ie. when hidden.
+  async __measured() {
+
+    if (!this.isConnected || !this._items?.length) {
+
+      throw new Error(`lite-list cannot scroll while it is detached or empty.`);
+    }
+
+    if (!this._sampleSize || !this._containers?.length) {
+
+      const measured = await Promise.race([
+        listenOnce(this, 'lite-list-item-bbox-changed').then(() => true),
+        wait(MEASURE_TIMEOUT).then(() => false)
+      ]);
+
+      if (!measured) {
+
+        throw new Error(`lite-list containers were not measured within ${MEASURE_TIMEOUT}ms.`);
+      }
+    }
+
+    await schedule(); // Wait for DOM rendering to settle.
+  }
+
+  // Returns the unique key for the item, or the item itself.
+  // Used to track an item's identity across changes to 'items'.
+  __getItemId(item, index) {
+
+    return this.itemKey ? this.__getItemKey(item, index) : item;
+  }
+
+  // Returns the unique key for the item, or its index.
+  __getItemKey(item, index) {
+
+    if (typeof this.itemKey === 'function') {
+
+      return this.itemKey(item, index);
+    }
+
+    if (typeof this.itemKey === 'string' && item) {
+
+      return item[this.itemKey];
+    }
+
+    return index;
+  }
+
+
   __hostScrollHandler(event) {
 
     consumeEvent(event);
 
     window.requestAnimationFrame(() => {
-      this._scroll = this.scrollLeft;
+      this._scroll = this.__getCurrentScroll();
     });
   }
 
 
+  // Window or an external scrolling element.
   __windowScrollHandler() {
 
     // Do NOT disrupt this global event from propagating.
 
     window.requestAnimationFrame(() => {
-      this._scroll = window.scrollY;
+      this._scroll = this.__getCurrentScroll();
     });
   }
 
@@ -1007,14 +1885,14 @@ class LiteList extends DomObserversMixin(AppElement) {
 
   // Shift the base scroll calculation to correctly place
   // the item horizontally, according to the desired position.
-  __getScroll(position, start) {
+  __getScroll(position, start, itemSize) {
 
     if (position === 'start') { return start; }
 
     const magnitude = position === 'center' ? 0.5 : 1;
 
     // Shift by minus host size, plus the item size.
-    return start - (this._hostSize * magnitude) + (this._sampleSize * magnitude);
+    return start - (this._hostSize * magnitude) + (itemSize * magnitude);
   }
 
   // In order to scroll to far offscreen positions, 
@@ -1022,6 +1900,16 @@ class LiteList extends DomObserversMixin(AppElement) {
   // the scroller before scrolling to the correct position.
   __scrollToIndex(index, position, behavior) {
 
+    if (this._positioned) {
+
+      const start  = this.__getListStart() + this.__getVariableOffset(index);
+      const scroll = this.__getScroll(position, start, this.__getVariableSize(index));
+
+      this.__scrollTo(scroll, behavior);
+
+      return;
+    }
+
     // Returns the column/row aware section index from an absolute index.
     // Num --> Num
     const getSection = i => Math.floor(i / this._containersPer);
@@ -1029,9 +1917,9 @@ class LiteList extends DomObserversMixin(AppElement) {
     const requestedSection = getSection(index);
     const distance         = this._sampleSize * requestedSection;
     const requestedSize    = distance + this._hostSize;
-    const maxSection       = getSection(this.items.length);
+    const maxSection       = getSection(this._items.length);
     const maxSize          = this._sampleSize * maxSection;
-    const size             = this.infinite ? 
+    const size             = this._infinite ? 
                                requestedSize :
 
                                // Toward the end of the list, limit 
@@ -1040,20 +1928,18 @@ class LiteList extends DomObserversMixin(AppElement) {
                                Math.min(requestedSize, maxSize);
 
     // Host's ::before psuedo element.
-    const beginning = this.layout === 'vertical' ? this._hostBbox.top : 0;
+    const beginning = this.__getListStart();
     const start     = beginning + distance;
-    const scroll    = this.__getScroll(position, start);
+    const scroll    = this.__getScroll(position, start, this._sampleSize);
 
     // Grow the ::before pseudo element in preparation for scrolling
     // beyond the original height of the host container.
-    if (this.layout === 'vertical') {
+    if (this.layout !== 'horizontal') {
 
       this.updateStyles({
         '--before-height': `${size}px`,
         '--before-width':  'unset'
       });
-
-      window.scroll({top: scroll, left: 0, behavior});
     }
     else {
 
@@ -1061,18 +1947,22 @@ class LiteList extends DomObserversMixin(AppElement) {
         '--before-height': 'unset',
         '--before-width':  `${size}px`
       });
+    }
 
-      this.scroll({top: 0, left: scroll, behavior});
-    }    
+    this.__scrollTo(scroll, behavior);
   }
 
 
   // Smooth scrolling move to an item by its index.
-  animateToIndex(index, position = 'start') {
+  //
+  // Resolves once scrolling ends and containers are repositioned.
+  async animateToIndex(index, position = 'start') {
 
     this.__scrollToIndex(index, position, 'smooth');
 
-    return Promise.resolve(); // Align api with 'moveToIndex'.
+    await this.__scrollSettled();
+
+    return this.__reposition();
   }
 
   // Instant move to an item by its index.
@@ -1083,6 +1973,148 @@ class LiteList extends DomObserversMixin(AppElement) {
     return this.__reposition();
   }
 
+  // Returns the index of an item, or of the item with a matching key.
+  __findItemIndex(itemOrKey) {
+
+    const index = this._items.indexOf(itemOrKey);
+
+    if (index !== -1 || !this.itemKey) { return index; }
+
+    return this._items.findIndex((item, i) =>
+             this.__getItemKey(item, i) === itemOrKey);
+  }
+
+  // Resolve 'nearest' to 'start', 'end' or undefined
+  // when the item is already entirely in view.
+  __getNearestPosition(index) {
+
+    const size  = this._positioned ? this.__getVariableSize(index) : this._sampleSize;
+    const start = this.__getListStart() + this.__getIndexDistance(index);
+    const end   = start + size;
+    const from  = this.__getCurrentScroll();
+    const to    = from + this._hostSize;
+
+    if (start >= from && end <= to) { return; }
+
+    // Items larger than the viewport are aligned to their start.
+    return start < from || size > this._hostSize ? 'start' : 'end';
+  }
+
+  // Resolves once the scroll position stops changing,
+  // or after 'SETTLE_MAX_FRAMES', so it cannot wait forever.
+  async __scrollSettled() {
+
+    let previous;
+    let frames = 0;
+    let total  = 0;
+
+    // Smooth scrolling may not start until a later frame.
+    while (frames < 3 && total < SETTLE_MAX_FRAMES) {
+
+      await schedule();
+
+      const current = this.__getCurrentScroll();
+
+      frames   = current === previous ? frames + 1 : 0;
+      previous = current;
+      total   += 1;
+    }
+  }
+
+  // Scroll to an item, or the item with a matching key when 'itemKey' is set.
+  //
+  // 'position' is 'start', 'center', 'end' or 'nearest', which only scrolls
+  // when the item is not already entirely in view.
+  //
+  // Resolves once scrolling ends and containers are repositioned.
+  // Rejects when the item is not in 'items'.
+  async scrollToItem(itemOrKey, {position = 'start', behavior = 'smooth'} = {}) {
+
+    await this.__measured();
+
+    const index = this._items ? this.__findItemIndex(itemOrKey) : -1;
+
+    if (index === -1) {
+
+      throw new Error(`lite-list 'scrollToItem' item not found in 'items'.`);
+    }
+
+    const resolved = position === 'nearest' ? this.__getNearestPosition(index) : position;
+
+    // Already in view.
+    if (!resolved) { return; }
+
+    this.__scrollToIndex(index, resolved, behavior);
+
+    await this.__scrollSettled();
+
+    return this.__reposition();
+  }
+
+  // Returns a serializable anchor that represents the current 
+  // scroll position, which can be reapplied with 'restoreScrollState'.
+  //
+  // 'offset' is the scrolled distance, in pixels, past 
+  // the start of the topmost/leftmost visible item.
+  getScrollState() {
+
+    const count = this._items?.length || 0;
+
+    if (!count || !this._sampleSize) {
+
+      return {count, index: 0, layout: this.layout, offset: 0};
+    }
+
+    const index  = this._virtualIndex % count;
+    const start  = this.__getListStart() + this.__getIndexDistance(index);
+    const offset = Math.max(0, this.__getCurrentScroll() - start);
+    const state  = {count, index, layout: this.layout, offset};
+
+    if (this.itemKey) {
+
+      state.key = this.__getItemKey(this._items[index], index);
+    }
+
+    return state;
+  }
+
+  // Reapply a state from 'getScrollState'.
+  //
+  // The anchor item is found by its key, when 'itemKey' is set, 
+  // so the position is restored even if 'items' has changed.
+  async restoreScrollState(state) {
+
+    if (
+      !state                          ||
+      typeof state.index !== 'number' ||
+      !this._items?.length
+    ) { 
+      return; 
+    }
+
+    await this.__measured();
+
+    const {length} = this._items;
+
+    const keyed = this.itemKey && state.key !== undefined ? 
+                    this._items.findIndex((item, index) => 
+                      this.__getItemKey(item, index) === state.key) :
+                    -1;
+
+    const index = keyed === -1 ? clamp(0, length - 1, state.index) : keyed;
+
+    // Pixel offsets are not valid accross different layouts.
+    const offset = state.layout === this.layout ? state.offset : 0;
+
+    this.__scrollToIndex(index, 'start', 'instant');
+
+    if (offset) {
+      this.__shiftScroll(offset);
+    }
+
+    return this.__reposition();
+  }
+
 }
 
 window.customElements.define(LiteList.is, LiteList);
@@ -0,0 +1,228 @@
+
+/**
+  * `MasonryMixin`
+  *
+  *   Multi-column 'waterfall' layout for `lite-list`, ie. for photo galleries
+  *   with mixed aspect ratios.
+  *
+  *   Set 'layout' to 'masonry'. The list scrolls vertically, and each item
+  *   is placed into the shortest column, in 'items' order. The number of
+  *   columns is determined by how many items fit across the host, unless
+  *   'columns' is set, in which case items are sized to the column width.
+  *
+  *   Item heights are measured as they are rendered, and estimated until then,
+  *   in the same way as 'variable' lists. Provide 'itemSize' when heights are
+  *   known ahead of time, such as from image metadata, to avoid items shifting
+  *   as they are measured.
+  *
+  *   Since each item is placed into the shortest column, the top offset of
+  *   every item is at least that of the prior item. So, as with 'variable'
+  *   lists, only a contiguous window of items around the current position
+  *   is stamped. The window begins at the earliest item that is still
+  *   visible in any column, since a tall item can remain in view long
+  *   after later items in other columns.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    itemSize - Function - Called with each item and its index.
+  *                          Returns the item's height in pixels,
+  *                          or undefined to measure it.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+// Place each item into the shortest column.
+//
+// Returns the column index and top offset of each item.
+// The last offset is the height of the tallest column.
+const placeItems = (length, columnCount, gap, getSize) => {
+
+  const heights = Array(columnCount).fill(0);
+  const columns = Array(length);
+  const offsets = Array(length + 1);
+
+  for (let i = 0; i < length; i++) {
+
+    const column = heights.indexOf(Math.min(...heights));
+
+    columns[i] = column;
+    offsets[i] = heights[column];
+
+    heights[column] += getSize(i) + gap;
+  }
+
+  offsets[length] = Math.max(...heights);
+
+  return {columns, offsets};
+};
+
+// Offsets only increase with index, so the item at 'index' starts at or
+// before the scroll position. Walk back from it to the last item
+// in each column that starts at or before the scroll position,
+// and return the earliest of those.
+const findFirstInColumns = (columns, columnCount, index) => {
+
+  const seen = new Set();
+
+  let first = index;
+
+  for (let i = index; i >= 0 && seen.size < columnCount; i--) {
+
+    if (!seen.has(columns[i])) {
+
+      seen.add(columns[i]);
+
+      first = i;
+    }
+  }
+
+  return first;
+};
+
+
+export const MasonryMixin = superClass => {
+
+  return class MasonryMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Called with each item and its index.
+        // Returns the item's height in pixels,
+        // or undefined to measure it.
+        itemSize: Function,
+
+        // The column index of each item.
+        // Updated along with '_offsets'.
+        _masonryColumns: Array
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__masonrySizeChanged(itemSize)'
+      ];
+    }
+
+
+    __computeOffsets(positioned, length, sizes, estimated, columnCount, gap = 0) {
+
+      if (this.layout !== 'masonry') {
+
+        return super.__computeOffsets(positioned, length, sizes, estimated, columnCount, gap);
+      }
+
+      if (typeof length !== 'number' || !estimated || !columnCount) { return; }
+
+      const getSize = index => {
+
+        const known = this.itemSize?.(this._items[index], index);
+
+        if (typeof known === 'number') { return known; }
+
+        return typeof sizes?.[index] === 'number' ? sizes[index] : estimated;
+      };
+
+      const {columns, offsets} = placeItems(length, columnCount, gap, getSize);
+
+      this._masonryColumns = columns;
+
+      return offsets;
+    }
+
+    // The top offset of each item does not account for
+    // taller items in other columns which began earlier.
+    __getVariableFirstIndex(scroll) {
+
+      const index = super.__getVariableFirstIndex(scroll);
+
+      if (this.layout !== 'masonry' || !this._masonryColumns) { return index; }
+
+      return findFirstInColumns(this._masonryColumns, this._containersPer, index);
+    }
+
+    // Neighboring items in the same column cannot be
+    // determined by index, so arrows move by one item.
+    __getKeyDelta(key) {
+
+      if (this.layout !== 'masonry') {
+
+        return super.__getKeyDelta(key);
+      }
+
+      switch (key) {
+
+        case 'ArrowDown':
+        case 'ArrowRight':
+          return 1;
+
+        case 'ArrowUp':
+        case 'ArrowLeft':
+          return -1;
+      }
+
+      return super.__getKeyDelta(key);
+    }
+
+    // Recalculate offsets with the new known sizes.
+    __masonrySizeChanged() {
+
+      if (this.layout !== 'masonry') { return; }
+
+      this._sizes = [...this._sizes];
+    }
+
+
+    __placeVariableContainers() {
+
+      if (this.layout !== 'masonry') {
+
+        super.__placeVariableContainers();
+
+        return;
+      }
+
+      if (
+        !this._offsets        ||
+        !this._containers     ||
+        !this._masonryColumns ||
+        !this._hostBbox
+      ) {
+        return;
+      }
+
+      const per         = this._containersPer;
+      const gap         = this.gap || 0;
+      const columnWidth = (this._hostBbox.width - (gap * (per - 1))) / per;
+
+      this._containers.forEach(container => {
+
+        const {virtualIndex} = container;
+
+        if (typeof virtualIndex !== 'number') { return; }
+
+        // Explicit column counts size items to fit.
+        container.style['width'] = this._columnCount ? `${columnWidth}px` : '';
+
+        const x = this._masonryColumns[virtualIndex] * (columnWidth + gap);
+        const y = this.__getVariableOffset(virtualIndex);
+
+        container.previous           = y; // Cache for next move.
+        container.style['transform'] = `translate(${x}px, ${y}px)`;
+      });
+    }
+
+  };
+};
@@ -0,0 +1,148 @@
+
+/**
+  * `PlaceholderMixin`
+  *
+  *   Placeholder rendering for holes in `lite-list` 'items'.
+  *
+  *   Items can be missing when they have not been fetched yet, or when they
+  *   have been garbage collected, ie. by `DbListMixin`. Containers which
+  *   display a missing item show a copy of the 'placeholder' slotted element
+  *   instead, until the data arrives.
+  *
+  *   The placeholder may be any element, or a template, which is cloned
+  *   for each container that needs it.
+  *
+  *   Containers that display missing items have a 'placeholder' attribute,
+  *   and are exposed as a 'placeholder' part as well.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-items-missing', {value: {indexes, sourceIndexes}}
+  *
+  *      Fired when the set of stamped items which are
+  *      missing changes, so they can be fetched.
+  *
+  *
+  *
+  *  Slots:
+  *
+  *
+  *    'placeholder' - A skeleton element, or template, displayed in place of missing items.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+export const PlaceholderMixin = superClass => {
+
+  return class PlaceholderMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // The last reported 'lite-list-items-missing' indexes.
+        _missing: Array
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__updatePlaceholders(_currentItems, _containers)'
+      ];
+    }
+
+
+    __createPlaceholder(name) {
+
+      const source = this.querySelector(':scope > [slot="placeholder"]');
+
+      if (!source) { return; }
+
+      const placeholder = source.localName === 'template' ?
+                            document.createElement('div') :
+                            source.cloneNode(true);
+
+      if (source.localName === 'template') {
+
+        placeholder.appendChild(source.content.cloneNode(true));
+      }
+
+      placeholder.setAttribute('slot', name);
+
+      this.appendChild(placeholder);
+    }
+
+    // Containers are reused, so each placeholder is only created once.
+    __showPlaceholder(container) {
+
+      const name = `placeholder-${container.index}`;
+
+      if (!this.querySelector(`:scope > [slot="${name}"]`)) {
+
+        this.__createPlaceholder(name);
+      }
+
+      container.setAttribute('placeholder', '');
+      container.part.add('placeholder');
+    }
+
+
+    __hidePlaceholder(container) {
+
+      container.removeAttribute('placeholder');
+      container.part.remove('placeholder');
+    }
+
+
+    __updatePlaceholders(currentItems, containers) {
+
+      if (!currentItems || !containers?.length || !this._items) { return; }
+
+      const missing = [];
+
+      containers.forEach(container => {
+
+        const index = container.virtualIndex;
+
+        if (typeof index !== 'number' || this._items[index] !== undefined) {
+
+          this.__hidePlaceholder(container);
+
+          return;
+        }
+
+        missing.push(index);
+
+        this.__showPlaceholder(container);
+      });
+
+      missing.sort((a, b) => a - b);
+
+      // Only fire when the set of missing items changes.
+      if (missing.join() === (this._missing || []).join()) { return; }
+
+      this._missing = missing;
+
+      if (!missing.length) { return; }
+
+      this.fire('lite-list-items-missing', {
+        value: {
+          indexes:       missing,
+          sourceIndexes: missing.map(index => this.getSourceIndex(index))
+        }
+      });
+    }
+
+  };
+};
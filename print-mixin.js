@@ -0,0 +1,280 @@
+
+/**
+  * `PrintMixin`
+  *
+  *   Printing and 'render all' mode for `lite-list`.
+  *
+  *   Normally, only enough containers to fill the viewport are stamped, and
+  *   they are translated into place as the list scrolls. So printing a page
+  *   only prints those few containers, at their translated positions.
+  *
+  *   While 'renderAll' is set, and while the page is being printed, every
+  *   item is stamped into its own container, in normal document flow.
+  *   Afterward, the virtualized state and scroll position are restored.
+  *
+  *   'beforeprint' does not wait for async work, so containers are stamped
+  *   synchronously when printing. Template repeaters that render lazily may
+  *   not be ready in time. In that case, set 'renderAll' and wait for
+  *   'lite-list-render-all-changed' before calling 'window.print'.
+  *
+  *   Every item is stamped, so use this sparingly with very large lists.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    renderAll - Boolean - Default: false, Stamp every item in normal flow.
+  *
+  *
+  *
+  *  Methods:
+  *
+  *
+  *    exportFragment() - Returns a Promise that resolves to a detached DocumentFragment,
+  *                       which holds a copy of every rendered item, in display order.
+  *                       Rejects when every item could not be rendered, ie. while
+  *                       'items' keeps changing. Concurrent calls are supported.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-render-all-changed', {value: Boolean}
+  *
+  *      Fired once every item has been stamped, and once
+  *      the virtualized state has been restored.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {
+  listenOnce,
+  schedule,
+  wait
+} from '@longlost/app-core/utils.js';
+
+
+// Give up waiting for every item to be stamped after this many
+// updates, or after waiting this many milliseconds for an update.
+const MAX_RENDER_UPDATES = 10;
+const RENDER_TIMEOUT     = 2000;
+
+
+export const PrintMixin = superClass => {
+
+  return class PrintMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Stamp every item in normal flow.
+        renderAll: {
+          type: Boolean,
+          value: false
+        },
+
+        // The number of pending 'exportFragment' calls.
+        _exportCount: {
+          type: Number,
+          value: 0
+        },
+
+        // Set between 'beforeprint' and 'afterprint'.
+        _printing: Boolean,
+
+        // The scroll state prior to rendering every item.
+        _renderAllState: Object,
+
+        _renderingAll: {
+          type: Boolean,
+          computed: '__computeRenderingAll(renderAll, _printing, _exportCount)',
+          observer: '__renderingAllChanged'
+        }
+
+      };
+    }
+
+
+    constructor() {
+
+      super();
+
+      this.__afterPrintHandler  = this.__afterPrintHandler.bind(this);
+      this.__beforePrintHandler = this.__beforePrintHandler.bind(this);
+    }
+
+
+    connectedCallback() {
+
+      super.connectedCallback();
+
+      window.addEventListener('afterprint',  this.__afterPrintHandler);
+      window.addEventListener('beforeprint', this.__beforePrintHandler);
+    }
+
+
+    disconnectedCallback() {
+
+      super.disconnectedCallback();
+
+      window.removeEventListener('afterprint',  this.__afterPrintHandler);
+      window.removeEventListener('beforeprint', this.__beforePrintHandler);
+    }
+
+
+    __computeRenderingAll(renderAll, printing, exportCount) {
+
+      return Boolean(renderAll || printing || exportCount > 0);
+    }
+
+    // Resolves true once every item has been handed to
+    // the template repeater, and it has stamped them.
+    //
+    // Resolves false when that does not happen within
+    // 'MAX_RENDER_UPDATES' or 'RENDER_TIMEOUT', ie. when 
+    // 'items' keeps changing, or the list is detached.
+    async __allRendered() {
+
+      for (let updates = 0; updates < MAX_RENDER_UPDATES; updates++) {
+
+        if (!this._items?.length) { return true; }
+
+        if (this._currentItems?.length === this._items.length) {
+
+          await schedule(); // Wait for the template repeater to stamp.
+
+          return true;
+        }
+
+        const updated = await Promise.race([
+          listenOnce(this, 'lite-list-current-items-changed').then(() => true),
+          wait(RENDER_TIMEOUT).then(() => false)
+        ]);
+
+        if (!updated) { return false; }
+      }
+
+      return false;
+    }
+
+    // Containers are placed in normal flow by the
+    // 'rendering-all' attribute, and the container
+    // count includes every item while it is set.
+    async __renderingAllChanged(all, previous) {
+
+      // Ignore initialization.
+      if (!all && !previous) { return; }
+
+      if (all) {
+
+        this._renderAllState = this.getScrollState();
+
+        this.toggleAttribute('rendering-all', true);
+
+        await this.__allRendered();
+
+        // Restored before every item was stamped.
+        if (!this._renderingAll) { return; }
+
+        this.fire('lite-list-render-all-changed', {value: true});
+
+        return;
+      }
+
+      this.toggleAttribute('rendering-all', false);
+
+      // Translations are stale, so start over
+      // from the top, the same as an initial render.
+      if (!this._positioned) {
+
+        this._containers?.forEach(el => {
+          el.previous           = 0;
+          el.style['transform'] = 'none';
+        });
+      }
+
+      try {
+        await this.restoreScrollState(this._renderAllState);
+      }
+      catch (error) {
+        console.error(error);
+      }
+      finally {
+
+        // Always leave print mode, even if the scroll position was lost.
+        this._renderAllState = undefined;
+
+        this.fire('lite-list-render-all-changed', {value: false});
+      }
+    }
+
+
+    __afterPrintHandler() {
+
+      this._printing = false;
+    }
+
+    // The browser prints as soon as 'beforeprint'
+    // handlers return, so stamp synchronously.
+    __beforePrintHandler() {
+
+      this._printing = true;
+
+      this.$.repeater.render();
+
+      this._containers = this.selectAll('.container');
+    }
+
+
+    // Every item is rendered until the last pending call completes.
+    async exportFragment() {
+
+      this._exportCount += 1;
+
+      try {
+
+        const rendered = await this.__allRendered();
+
+        if (!rendered) {
+
+          throw new Error(`lite-list 'exportFragment' could not render every item.`);
+        }
+
+        const fragment = document.createDocumentFragment();
+
+        // Missing items display a placeholder instead.
+        this._containers.
+          filter(container => !container.hasAttribute('placeholder')).
+          sort((a, b) => a.virtualIndex - b.virtualIndex).
+          forEach(container => {
+
+            const slot = container.querySelector('.item-slot');
+
+            slot.assignedElements({flatten: true}).forEach(element => {
+
+              const copy = element.cloneNode(true);
+
+              copy.removeAttribute('slot');
+
+              fragment.appendChild(copy);
+            });
+          });
+
+        return fragment;
+      }
+      finally {
+        this._exportCount -= 1;
+      }
+    }
+
+  };
+};
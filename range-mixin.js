@@ -0,0 +1,223 @@
+
+/**
+  * `RangeMixin`
+  *
+  *   Near-end/near-start events for `lite-list`, so any data source
+  *   can be paginated, without the need for `DbListMixin`.
+  *
+  *   Each event fires once per approach. It is rearmed once the list is
+  *   scrolled back out of the threshold, or when the length of 'items' changes.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    loading - Boolean - Set while a fetch is pending, which displays
+  *                        the 'loading' slot at the end of the list
+  *                        (or the start, when 'anchor' is 'end', in which
+  *                        case the items are offset to make room for it).
+  *
+  *
+  *    rangeThreshold - Number - Default: 10, How close to the end/start
+  *                              of the list, before firing an event.
+  *
+  *
+  *    rangeThresholdUnit - String - Default: 'items', Valid values: 'items', 'viewports'
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-range-end-reached', {value: {index, length, sourceIndex}}
+  *
+  *      'index' is the last visible item index.
+  *
+  *
+  *    'lite-list-range-start-reached', {value: {index, length, sourceIndex}}
+  *
+  *      Only fires while scrolling in reverse.
+  *      'index' is the first visible item index.
+  *
+  *
+  *
+  *  Slots:
+  *
+  *
+  *    'loading' - Displayed while 'loading' is set.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+export const RangeMixin = superClass => {
+
+  return class RangeMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Set while a fetch is pending.
+        // Displays the 'loading' slot.
+        loading: {
+          type: Boolean,
+          value: false,
+          reflectToAttribute: true
+        },
+
+        // How close to the end/start of the list, before firing an event.
+        rangeThreshold: {
+          type: Number,
+          value: 10
+        },
+
+        rangeThresholdUnit: {
+          type: String,
+          value: 'items' // Or 'viewports'.
+        },
+
+        // Events are only fired once per approach.
+        _endReached: Boolean,
+
+        // Space reserved before the first item for the 
+        // 'loading' slot, when 'anchor' is 'end'.
+        _loadingReserve: {
+          type: Number,
+          value: 0
+        },
+
+        _startReached: Boolean
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__rangeLengthChanged(_items.length)',
+        '__updateLoadingPosition(loading, anchor, layout, _maxSize, _offsets)',
+        '__updateRange(_virtualIndex, _scroll, _items.length, _hostSize, rangeThreshold, rangeThresholdUnit)'
+      ];
+    }
+
+    // Newly loaded items constitute a new approach.
+    __rangeLengthChanged() {
+
+      this._endReached   = false;
+      this._startReached = false;
+    }
+
+    // Place the 'loading' slot after the last item, or before
+    // the first item when the list is anchored to the end.
+    __updateLoadingPosition(loading, anchor) {
+
+      const reserve = loading && anchor === 'end' ? this.__getLoadingSize() : 0;
+
+      this.__reserveLoadingSpace(reserve);
+
+      if (!loading) { return; }
+
+      const position = anchor === 'end' ? 0 : this.__getListSize();
+
+      this.$.loading.style['transform'] = this.__getTranslation(position);
+    }
+
+
+    __getLoadingSize() {
+
+      return this.$.loading.getBoundingClientRect()[this._dimension] || 0;
+    }
+
+    // Offset the items, so the 'loading' slot does not cover the first item.
+    __reserveLoadingSpace(reserve) {
+
+      const previous = this._loadingReserve;
+
+      if (reserve === previous) { return; }
+
+      this._loadingReserve = reserve;
+
+      const offset = this._rtl ? -reserve : reserve;
+
+      this.updateStyles({'--loading-offset': `${offset}px`});
+
+      // Keep the visible items in place as the slot is shown or hidden.
+      this.__shiftScroll(reserve - previous);
+    }
+
+
+    __getThresholdCount(first, last) {
+
+      if (this.rangeThresholdUnit === 'viewports') {
+
+        const visible = Math.max(1, last - first + 1);
+
+        return Math.ceil(this.rangeThreshold * visible);
+      }
+
+      return this.rangeThreshold;
+    }
+
+
+    __updateRange(first, scroll, length, hostSize) {
+
+      if (
+        this._infinite            ||
+        typeof first !== 'number' ||
+        !length                   ||
+        !hostSize
+      ) {
+        return;
+      }
+
+      const last      = this.__getLastVisibleIndex();
+      const threshold = this.__getThresholdCount(first, last);
+      const nearEnd   = length - 1 - last <= threshold;
+      const nearStart = first <= threshold;
+
+      if (nearEnd && !this._endReached) {
+
+        this._endReached = true;
+
+        this.fire('lite-list-range-end-reached', {
+          value: {
+            index:       last,
+            length,
+            sourceIndex: this.getSourceIndex(last)
+          }
+        });
+      }
+      else if (!nearEnd) {
+
+        this._endReached = false;
+      }
+
+      // Lists begin at the start, so only
+      // fire when the user is heading there.
+      if (nearStart && !this._startReached && this._direction === 'reverse') {
+
+        this._startReached = true;
+
+        this.fire('lite-list-range-start-reached', {
+          value: {
+            index:       first,
+            length,
+            sourceIndex: this.getSourceIndex(first)
+          }
+        });
+      }
+      else if (!nearStart) {
+
+        this._startReached = false;
+      }
+    }
+
+  };
+};
@@ -0,0 +1,192 @@
+
+/**
+  * `RenderMixin`
+  *
+  *   Framework agnostic rendering for `lite-list`.
+  *
+  *   By default, the host mirrors 'lite-list-current-items-changed' into
+  *   its own template repeater, and slots each element by hand.
+  *
+  *   Instead, when 'renderItem' is set, `lite-list` creates one element for
+  *   each of its containers, slots it, and calls 'renderItem' whenever the
+  *   container is recycled to display a different item. This way, Lit,
+  *   vanilla and other framework apps can render directly into the list.
+  *
+  *   Items updated in place, such as with 'set('items.3.name', ...)',
+  *   keep their identity, so 'renderItem' is called again for the
+  *   displayed element by path.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    renderItem - Function - Called with (item, index, element) to render
+  *                            an item into an element. Missing items are
+  *                            not rendered, see 'PlaceholderMixin'.
+  *
+  *
+  *    createItem - Function - Optional. Called with the container index.
+  *                            Returns a new element to render items into.
+  *                            Defaults to a 'div'.
+  *
+  *
+  *    recycleItem - Function - Optional. Called with (element, item, index)
+  *                             before an element is reused for a different item,
+  *                             or removed. Use it to clean up listeners, etc.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+export const RenderMixin = superClass => {
+
+  return class RenderMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Returns a new element to render items into.
+        createItem: Function,
+
+        // Called before an element is reused for a different item.
+        recycleItem: Function,
+
+        // Called with (item, index, element).
+        renderItem: Function,
+
+        // Map of container index to {element, index, item}.
+        _rendered: {
+          type: Object,
+          value: () => (new Map())
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__renderModeChanged(renderItem)',
+        '__renderItems(renderItem, _currentItems, _containers)',
+        '__renderItemPathChanged(_items.*)'
+      ];
+    }
+
+
+    __createRenderElement(containerIndex) {
+
+      const element = typeof this.createItem === 'function' ?
+                        this.createItem(containerIndex) :
+                        document.createElement('div');
+
+      element.setAttribute('slot', `slot-${containerIndex}`);
+
+      this.appendChild(element);
+
+      return element;
+    }
+
+
+    __recycleRendered(rendered) {
+
+      const {element, index, item} = rendered;
+
+      if (item !== undefined && typeof this.recycleItem === 'function') {
+
+        this.recycleItem(element, item, index);
+      }
+    }
+
+
+    __removeRendered(containerIndex) {
+
+      const rendered = this._rendered.get(containerIndex);
+
+      this.__recycleRendered(rendered);
+
+      rendered.element.remove();
+
+      this._rendered.delete(containerIndex);
+    }
+
+    // Remove all rendered elements when switching
+    // back to the host's own template repeater.
+    __renderModeChanged(renderItem) {
+
+      if (typeof renderItem === 'function') { return; }
+
+      [...this._rendered.keys()].forEach(key => {
+        this.__removeRendered(key);
+      });
+    }
+
+
+    __renderItems(renderItem, currentItems, containers) {
+
+      if (typeof renderItem !== 'function' || !currentItems || !containers) { return; }
+
+      // Containers were removed.
+      [...this._rendered.keys()].forEach(key => {
+
+        if (key >= containers.length) {
+          this.__removeRendered(key);
+        }
+      });
+
+      containers.forEach(container => {
+
+        const containerIndex = container.index;
+        const index          = container.virtualIndex;
+        const item           = currentItems[containerIndex];
+        const rendered       = this._rendered.get(containerIndex) ||
+                                 {element: this.__createRenderElement(containerIndex)};
+
+        // Already displaying this item.
+        if (rendered.item === item && rendered.index === index) { return; }
+
+        this.__recycleRendered(rendered);
+
+        rendered.index = index;
+        rendered.item  = item;
+
+        this._rendered.set(containerIndex, rendered);
+
+        // Placeholders are displayed for missing items.
+        if (item === undefined || typeof index !== 'number') { return; }
+
+        renderItem(item, index, rendered.element);
+      });
+    }
+
+    // Same item changed in place, ie. '_items.3.name'.
+    // Replaced items are handled by '__renderItems'.
+    __renderItemPathChanged(polymerObj) {
+
+      if (typeof this.renderItem !== 'function' || !polymerObj) { return; }
+
+      const [root, key] = polymerObj.path.split('.');
+
+      if (root !== '_items' || !/^\d+$/.test(key)) { return; }
+
+      const index = Number(key);
+      const item  = this._items[index];
+
+      if (item === undefined) { return; }
+
+      this._rendered.forEach(rendered => {
+
+        if (rendered.index === index && rendered.item === item) {
+          this.renderItem(item, index, rendered.element);
+        }
+      });
+    }
+
+  };
+};
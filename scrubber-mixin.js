@@ -0,0 +1,213 @@
+
+/**
+  * `ScrubberMixin`
+  *
+  *   A fast-scroll scrubber track for `lite-list`.
+  *
+  *   The track spans the visible edge of the list, and its thumb reflects
+  *   the current item index, rather than the scroll size, which changes as
+  *   the list grows its scroll area. Dragging anywhere along the track
+  *   moves the list to the item at that relative position.
+  *
+  *   While dragging, a bubble displays the value returned by 'scrubberLabel',
+  *   ie. a letter, date or page number.
+  *
+  *   The track, thumb and bubble are exposed as 'scrubber', 'scrubber-thumb'
+  *   and 'scrubber-label' parts, ie. 'lite-list::part(scrubber-thumb) {...}'.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    scrubber - Boolean - Set to display the scrubber track.
+  *
+  *
+  *    scrubberLabel - Function - Called with an item and its index.
+  *                               Returns the bubble label String.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-scrubbing-changed', {value: Boolean}
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const ScrubberMixin = superClass => {
+
+  return class ScrubberMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Set to display the scrubber track.
+        scrubber: {
+          type: Boolean,
+          value: false,
+          reflectToAttribute: true
+        },
+
+        // Called with an item and its index.
+        // Returns the bubble label String.
+        scrubberLabel: Object,
+
+        // The item index at the current pointer position.
+        _scrubIndex: Number,
+
+        // The bubble label text.
+        _scrubLabel: {
+          type: String,
+          computed: '__computeScrubLabel(scrubberLabel, _scrubIndex)'
+        },
+
+        // Set while the user drags the thumb.
+        _scrubbing: {
+          type: Boolean,
+          value: false,
+          observer: '__scrubbingChanged'
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__updateScrubberPosition(scrubber, _scroll, _hostSize)',
+        '__updateScrubberThumb(scrubber, _virtualIndex, _scrubIndex, _scrubbing, _items.length, _hostSize)'
+      ];
+    }
+
+
+    __computeScrubLabel(fn, index) {
+
+      if (typeof fn !== 'function' || typeof index !== 'number' || !this._items) { return ''; }
+
+      const item = this._items[index];
+
+      if (item === undefined) { return ''; }
+
+      return fn(item, index);
+    }
+
+
+    __scrubbingChanged(scrubbing, previous) {
+
+      // Ignore initialization.
+      if (previous === undefined) { return; }
+
+      this.toggleAttribute('scrubbing', scrubbing);
+
+      this.fire('lite-list-scrubbing-changed', {value: scrubbing});
+    }
+
+    // Keep the track along the visible edge of the list,
+    // as it scrolls, the same as the section header.
+    __updateScrubberPosition(scrubber, scroll = 0, hostSize) {
+
+      if (!scrubber || !hostSize) { return; }
+
+      const distance = Math.max(0, scroll - this.__getListStart());
+      const track    = this.$.scrubber;
+
+      track.style[this._dimension] = `${hostSize}px`;
+      track.style['transform']     = this.__getTranslation(distance);
+    }
+
+
+    __updateScrubberThumb(scrubber, virtualIndex, scrubIndex, scrubbing, length, hostSize) {
+
+      if (!scrubber || !length || !hostSize) { return; }
+
+      const index    = scrubbing ? scrubIndex : virtualIndex % length;
+      const thumb    = this.$.thumb;
+      const size     = thumb.getBoundingClientRect()[this._dimension];
+      const fraction = length > 1 ? clamp(0, 1, index / (length - 1)) : 0;
+      const distance = fraction * Math.max(0, hostSize - size);
+
+      thumb.style['transform'] = this.__getTranslation(distance);
+    }
+
+    // Returns the item index at the relative position of
+    // the pointer along the track.
+    __getScrubIndex(event) {
+
+      const bbox     = this.$.scrubber.getBoundingClientRect();
+      const vertical = this.layout !== 'horizontal';
+      const start    = vertical ? bbox.top    : bbox.left;
+      const size     = vertical ? bbox.height : bbox.width;
+      const position = vertical ? event.clientY : event.clientX;
+      const ratio    = size ? clamp(0, 1, (position - start) / size) : 0;
+
+      // Right-to-left tracks begin at the right edge.
+      const fraction = this._rtl ? 1 - ratio : ratio;
+
+      return Math.round(fraction * (this._items.length - 1));
+    }
+
+
+    async __scrubTo(event) {
+
+      const index = this.__getScrubIndex(event);
+
+      if (index === this._scrubIndex) { return; }
+
+      this._scrubIndex = index;
+
+      await schedule(); // Throttle to the frame rate.
+
+      // A later move has taken over.
+      if (index !== this._scrubIndex) { return; }
+
+      this.moveToIndex(index);
+    }
+
+
+    __scrubberPointerdownHandler(event) {
+
+      if (!this._items?.length || event.button !== 0) { return; }
+
+      // Prevent text selection and native touch scrolling.
+      event.preventDefault();
+
+      this.$.scrubber.setPointerCapture(event.pointerId);
+
+      this._scrubbing = true;
+
+      this.__scrubTo(event);
+    }
+
+
+    __scrubberPointermoveHandler(event) {
+
+      if (!this._scrubbing) { return; }
+
+      this.__scrubTo(event);
+    }
+
+    // Pointer capture is released implicitly.
+    __scrubberPointerupHandler() {
+
+      if (!this._scrubbing) { return; }
+
+      this._scrubbing  = false;
+      this._scrubIndex = undefined;
+    }
+
+  };
+};
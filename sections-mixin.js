@@ -0,0 +1,220 @@
+
+/**
+  * `SectionsMixin`
+  *
+  *   Grouped list support for `lite-list`.
+  *
+  *   Items are grouped into sections, either by a grouping function
+  *   or by a set of section boundary indexes.
+  *
+  *   The current section is the one which contains the topmost/leftmost
+  *   visible item. A header for the current section is rendered in a
+  *   sticky container that remains at the top/left edge of the viewport.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    sectionOf - Function - Grouping function which is called with each item
+  *                           and its index, and returns the section value
+  *                           for that item.
+  *
+  *                           Consecutive items that share the same value are
+  *                           grouped into the same section.
+  *
+  *                           Items may be undefined (ie. garbage collected),
+  *                           in which case they are kept in the prior section.
+  *
+  *
+  *    sections - Array - Optional alternative to 'sectionOf'.
+  *                       A collection of item indexes where each section begins,
+  *                       or objects that include the section value,
+  *                       ie. [0, 12, 30] or [{index: 0, section: 'A'}, {index: 12, section: 'B'}]
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-current-section-changed', {value: {index, section, start}}
+  *
+  *      Fired when a section boundary passes the top/left edge of the viewport.
+  *      'index' is the section's ordinal, 'section' is its value,
+  *      and 'start' is the index of its first item.
+  *      'value' is undefined, and the header is hidden, while
+  *      items before the first section are at the edge.
+  *
+  *
+  *
+  *  Slots:
+  *
+  *
+  *    'section-header' - Content for the current section's sticky header.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+// Returns the last section that starts at or before the item index,
+// or undefined for items before the first section.
+const findSection = (starts, index) => {
+
+  if (!starts.length || starts[0].start > index) { return; }
+
+  let low  = 0;
+  let high = starts.length - 1;
+
+  while (low < high) {
+
+    const mid = Math.ceil((low + high) / 2);
+
+    if (starts[mid].start <= index) {
+      low = mid;
+    }
+    else {
+      high = mid - 1;
+    }
+  }
+
+  return {...starts[low], index: low};
+};
+
+
+export const SectionsMixin = superClass => {
+
+  return class SectionsMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Alternative to 'sectionOf'.
+        //
+        // A collection of item indexes where each section begins,
+        // or objects that include the section value,
+        // ie. [0, 12, 30] or [{index: 0, section: 'A'}, {index: 12, section: 'B'}]
+        sections: Array,
+
+        // Grouping function.
+        //
+        // Called with each item and its index, and returns the section
+        // value for that item. Consecutive items that share the
+        // same value are grouped into the same section.
+        sectionOf: Function,
+
+        _currentSection: {
+          type: Object,
+          computed: '__computeCurrentSection(_sectionStarts, _virtualIndex, _items.length)',
+          observer: '__currentSectionChanged'
+        },
+
+        // Sorted collection of {section, start} objects.
+        _sectionStarts: {
+          type: Array,
+          computed: '__computeSectionStarts(_items.*, sectionOf, sections)'
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__updateSectionHeader(_currentSection, _scroll)'
+      ];
+    }
+
+
+    __computeCurrentSection(starts, virtualIndex, length) {
+
+      if (!starts?.length || typeof virtualIndex !== 'number' || !length) { return; }
+
+      return findSection(starts, virtualIndex % length);
+    }
+
+
+    __computeSectionStarts(polymerObj, sectionOf, sections) {
+
+      if (Array.isArray(sections) && sections.length) {
+
+        return sections.
+                 map(entry => typeof entry === 'number' ?
+                                {section: entry, start: entry} :
+                                {section: entry.section, start: entry.index}).
+                 sort((a, b) => a.start - b.start);
+      }
+
+      const items = this._items;
+
+      if (typeof sectionOf !== 'function' || !Array.isArray(items) || !items.length) { return; }
+
+      return items.reduce((accum, item, index) => {
+
+        // Garbage collected or not yet loaded items
+        // are considered part of the prior section.
+        if (item === undefined) { return accum; }
+
+        const section  = sectionOf(item, index);
+        const previous = accum.at(-1);
+
+        if (!previous || previous.section !== section) {
+          accum.push({section, start: index});
+        }
+
+        return accum;
+      }, []);
+    }
+
+    // Only fire when a section boundary passes the top/left edge.
+    __currentSectionChanged(current, previous) {
+
+      if (
+        current?.start   === previous?.start && 
+        current?.section === previous?.section
+      ) { 
+        return; 
+      }
+
+      this.fire('lite-list-current-section-changed', {value: current});
+    }
+
+    // Keep the header at the top/left edge of the viewport
+    // as long as the list is scrolled past its own start.
+    //
+    // Hidden before the first section.
+    __updateSectionHeader(current, scroll = 0) {
+
+      const header = this.$.header;
+
+      if (!current) {
+
+        header.hidden = true;
+
+        return;
+      }
+
+      header.hidden = false;
+
+      const distance = Math.max(0, scroll - this.__getListStart());
+
+      header.style['transform'] = this.__getTranslation(distance);
+    }
+
+    // Returns the section that contains the given item index.
+    __getSectionAt(index) {
+
+      const length = this._items?.length;
+
+      if (!this._sectionStarts?.length || typeof index !== 'number' || !length) { return; }
+
+      return findSection(this._sectionStarts, index % length);
+    }
+
+  };
+};
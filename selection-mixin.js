@@ -0,0 +1,368 @@
+
+/**
+  * `SelectionMixin`
+  *
+  *   A selection model for `lite-list` that survives container recycling.
+  *
+  *   Selection state is kept by item key (see 'itemKey'), or by source
+  *   index (see 'getSourceIndex') when no key is provided, rather than 
+  *   on stamped elements. So the same items remain selected when 
+  *   'filter' or 'sort' change.
+  *
+  *   Containers reflect a 'selected' attribute whenever the item
+  *   they currently display is selected. They are also exposed as
+  *   a 'selected' part, ie. 'lite-list::part(selected) {...}'.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    selection - String - Enables selecting items by click/tap and the Space key.
+  *                         Valid values: 'single', 'multiple'
+  *
+  *                         In 'multiple' mode, Ctrl/Cmd + click toggles
+  *                         an item, and Shift + click selects a range.
+  *
+  *
+  *
+  *  Methods:
+  *
+  *
+  *    select(index), deselect(index), toggle(index),
+  *    selectRange(from, to), clearSelection(), isSelected(index)
+  *
+  *      'selectRange' selects only 'to' in 'single' mode.
+  *
+  *
+  *    selectedItems - Getter - The selected items, in display order.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-selection-changed', {value: {indexes, items, keys, sourceIndexes}}
+  *
+  *      'indexes' are the displayed (view) indexes of the selected items,
+  *      and 'sourceIndexes' are their indexes in 'items'.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+
+export const SelectionMixin = superClass => {
+
+  return class SelectionMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Enables selecting items by click/tap and the Space key.
+        //
+        // Valid values: 'single', 'multiple'
+        selection: String,
+
+        // Map of item key to displayed index, when 'itemKey' is set.
+        // Built on demand, once per change to '_items'.
+        _keyIndexes: Object,
+
+        // The last item that was selected or toggled.
+        // Used as the starting point of Shift + click ranges.
+        _selectionAnchor: Number,
+
+        // Set of selected item keys.
+        _selected: {
+          type: Object,
+          value: () => (new Set()),
+          observer: '__selectedChanged'
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        // '_currentItems' only used as a synchronization trigger.
+        '__updateContainersSelected(_selected, _currentItems, _containers)',
+        '__selectionItemsChanged(itemKey, _items.*)'
+      ];
+    }
+
+
+    constructor() {
+
+      super();
+
+      this.__selectionClickHandler   = this.__selectionClickHandler.bind(this);
+      this.__selectionKeydownHandler = this.__selectionKeydownHandler.bind(this);
+    }
+
+
+    connectedCallback() {
+
+      super.connectedCallback();
+
+      this.addEventListener('click',   this.__selectionClickHandler);
+      this.addEventListener('keydown', this.__selectionKeydownHandler);
+    }
+
+
+    disconnectedCallback() {
+
+      super.disconnectedCallback();
+
+      this.removeEventListener('click',   this.__selectionClickHandler);
+      this.removeEventListener('keydown', this.__selectionKeydownHandler);
+    }
+
+
+    __selectedChanged(selected, previous) {
+
+      // Ignore initialization.
+      if (!selected || !previous) { return; }
+
+      const indexes = this.__getSelectedIndexes();
+
+      this.fire('lite-list-selection-changed', {
+        value: {
+          indexes,
+          items:         indexes.map(index => this._items[index]),
+          keys:          [...selected],
+          sourceIndexes: indexes.map(index => this.getSourceIndex(index))
+        }
+      });
+    }
+
+
+    __updateContainersSelected(selected, _, containers) {
+
+      if (!selected || !containers?.length) { return; }
+
+      containers.forEach(container => {
+
+        const index    = container.virtualIndex;
+        const selected = typeof index === 'number' && this.isSelected(index);
+
+        container.toggleAttribute('selected', selected);
+        container.part.toggle('selected', selected);
+      });
+    }
+
+    // Keys may change along with items.
+    __selectionItemsChanged() {
+
+      this._keyIndexes = undefined;
+    }
+
+    // Replace the Set so that observers are notified.
+    __setSelected(keys) {
+
+      this._selected = new Set(keys);
+    }
+
+
+    // Display indexes change along with 'filter' and 'sort',
+    // so items without a key are kept by source index.
+    __getIndexKey(index) {
+
+      if (!this.itemKey) { return this.getSourceIndex(index); }
+
+      return this.__getItemKey(this._items?.[index], index);
+    }
+
+    // Returns the displayed index of each item key, or undefined
+    // when items are kept by source index. The first item wins
+    // when several share a key.
+    __getKeyIndexes() {
+
+      if (!this.itemKey) { return; }
+
+      if (!this._keyIndexes) {
+
+        this._keyIndexes = new Map();
+
+        this._items.forEach((item, index) => {
+
+          const key = this.__getItemKey(item, index);
+
+          if (!this._keyIndexes.has(key)) {
+            this._keyIndexes.set(key, index);
+          }
+        });
+      }
+
+      return this._keyIndexes;
+    }
+
+    // Displayed indexes of the selected items, in display order.
+    __getSelectedIndexes() {
+
+      if (!this._items || !this._selected.size) { return []; }
+
+      const {length} = this._items;
+      const indexes  = this.__getKeyIndexes();
+
+      return [...this._selected].
+               map(key => indexes ? indexes.get(key) : this.getViewIndex(key)).
+               filter(index => typeof index === 'number' && index >= 0 && index < length).
+               sort((a, b) => a - b);
+    }
+
+
+    __selectionClickHandler(event) {
+
+      if (!this.selection) { return; }
+
+      const container = event.composedPath().find(el =>
+                          this._containers?.includes(el));
+
+      const index = container?.virtualIndex;
+
+      if (typeof index !== 'number') { return; }
+
+      if (this.selection === 'multiple') {
+
+        if (event.shiftKey && typeof this._selectionAnchor === 'number') {
+
+          this.selectRange(this._selectionAnchor, index);
+
+          return;
+        }
+
+        if (event.ctrlKey || event.metaKey) {
+
+          this.toggle(index);
+
+          return;
+        }
+      }
+
+      // A plain click replaces the selection, in a single update.
+      this._selectionAnchor = index;
+
+      this.__setSelected([this.__getIndexKey(index)]);
+    }
+
+
+    __selectionKeydownHandler(event) {
+
+      if (!this.selection || event.key !== ' ') { return; }
+
+      // Allow typing spaces into inputs within items.
+      if (typeof this.activeIndex !== 'number' || !this.__isContainerKeydown(event)) { return; }
+
+      // Prevent the default page scrolling behavior.
+      event.preventDefault();
+
+      this.toggle(this.activeIndex);
+    }
+
+    // The selected items, in display order.
+    get selectedItems() {
+
+      return this.__getSelectedIndexes().map(index => this._items[index]);
+    }
+
+
+    clearSelection() {
+
+      this._selectionAnchor = undefined;
+
+      if (!this._selected.size) { return; }
+
+      this.__setSelected([]);
+    }
+
+
+    deselect(index) {
+
+      const key = this.__getIndexKey(index);
+
+      if (!this._selected.has(key)) { return; }
+
+      this.__setSelected([...this._selected].filter(k => k !== key));
+    }
+
+
+    isSelected(index) {
+
+      return this._selected.has(this.__getIndexKey(index));
+    }
+
+    // Replaces the current selection in 'single'
+    // mode, otherwise adds to the current selection.
+    select(index) {
+
+      const key = this.__getIndexKey(index);
+
+      this._selectionAnchor = index;
+
+      if (this.selection === 'single') {
+
+        this.__setSelected([key]);
+
+        return;
+      }
+
+      if (this._selected.has(key)) { return; }
+
+      this.__setSelected([...this._selected, key]);
+    }
+
+    // Adds the range of items, inclusive, to the current selection.
+    //
+    // Only one item may be selected in 'single' mode, so 'to' replaces it.
+    selectRange(from, to) {
+
+      if (!this.selection || !this._items?.length) { return; }
+
+      const last = this._items.length - 1;
+
+      if (this.selection === 'single') {
+
+        this.select(clamp(0, last, to));
+
+        return;
+      }
+
+      const start = clamp(0, last, Math.min(from, to));
+      const end   = clamp(0, last, Math.max(from, to));
+      const keys  = [];
+
+      for (let i = start; i <= end; i++) {
+        keys.push(this.__getIndexKey(i));
+      }
+
+      this._selectionAnchor = from;
+
+      this.__setSelected([...this._selected, ...keys]);
+    }
+
+
+    toggle(index) {
+
+      if (this.isSelected(index)) {
+
+        this._selectionAnchor = index;
+
+        this.deselect(index);
+      }
+      else {
+
+        this.select(index);
+      }
+    }
+
+  };
+};
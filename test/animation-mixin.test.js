@@ -0,0 +1,183 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {AnimationMixin} from '../animation-mixin.js';
+
+import {
+  FakeElement,
+  ListBase,
+  createContainer,
+  createList,
+  createRect
+} from './helpers.js';
+
+
+let reducedMotion = false;
+
+window.matchMedia = () => ({matches: reducedMotion});
+
+
+// Records each animation that is played.
+class Animated extends FakeElement {
+
+  constructor() {
+
+    super();
+
+    this.animations = [];
+  }
+
+
+  animate(keyframes, options) {
+
+    this.animations.push({keyframes, options});
+
+    return {finished: Promise.resolve()};
+  }
+
+
+  cloneNode() {
+
+    return Object.assign(new Animated(), {name: `${this.name} copy`});
+  }
+
+}
+
+
+class Base extends ListBase {
+
+  querySelector(selector) {
+
+    return this.slotted[selector];
+  }
+
+
+  __getViewportBounds() {
+
+    return createRect({height: 800, width: 400});
+  }
+
+}
+
+
+const AnimatedList = AnimationMixin(Base);
+
+
+const createAnimated = (virtualIndex, top) => createContainer(virtualIndex, {
+  animate:    Animated.prototype.animate,
+  animations: [],
+  index:      virtualIndex,
+  rect:       createRect({height: 100, top, width: 400})
+});
+
+// Three items, displayed top to bottom.
+const createAnimatedList = () => {
+
+  const containers = [0, 1, 2].map(index => createAnimated(index, index * 100));
+  const items      = ['a', 'b', 'c'];
+
+  const slotted = Object.fromEntries(items.map((name, index) => [
+    `[slot="slot-${index}"]`,
+    Object.assign(new Animated(), {name})
+  ]));
+
+  return createList(AnimatedList, {
+    animate:           true,
+    animationDuration: 10,
+    slotted,
+    _containers:       containers,
+    _currentItems:     items,
+    _items:            items
+  });
+};
+
+// Positions are captured after 'items' changes,
+// but before the new items are displayed.
+const update = async (list, items) => {
+
+  list._items = items;
+
+  const first = list.__captureFirst();
+
+  list._currentItems = items;
+
+  await list.__playAnimations(first);
+};
+
+
+describe('AnimationMixin', () => {
+
+  it('enters new items, moves kept items and exits removed items', async () => {
+
+    const list = createAnimatedList();
+
+    list._animationItems  = list._items;
+    list._animationLength = list._items.length;
+
+    // Remove 'a', and insert 'x' after 'b'.
+    await update(list, ['b', 'x', 'c']);
+
+    const [first, second, third] = list._containers;
+    const [ghost]                = list.children;
+
+    // 'b' moves up from the second row.
+    assert.deepEqual(first.animations[0].keyframes, [
+      {translate: '0px 100px'},
+      {translate: '0px 0px'}
+    ]);
+
+    assert.equal(first.animations[0].options.composite, 'add');
+    assert.equal(second.animations[0].keyframes[0].opacity, 0);
+    assert.deepEqual(third.animations, []);
+
+    assert.equal(ghost.name, 'a copy');
+    assert.equal(ghost.attributes.slot, 'exiting');
+    assert.equal(ghost.style.top, '0px');
+    assert.equal(ghost.animations[0].keyframes[1].opacity, 0);
+  });
+
+
+  it('leaves container translations alone', async () => {
+
+    const list = createAnimatedList();
+
+    list._containers.forEach(container => {
+      container.previous        = 300;
+      container.style.transform = 'translateY(300px)';
+    });
+
+    await update(list, ['c', 'b', 'a']);
+
+    list._containers.forEach(container => {
+      assert.equal(container.previous, 300);
+      assert.equal(container.style.transform, 'translateY(300px)');
+    });
+  });
+
+
+  it('does not animate containers that are recycled while scrolling', () => {
+
+    const list = createAnimatedList();
+
+    list._animationItems  = list._items;
+    list._animationLength = list._items.length;
+
+    assert.equal(list.__captureFirst(), undefined);
+  });
+
+
+  it('respects reduced motion', () => {
+
+    const list = createAnimatedList();
+
+    reducedMotion = true;
+
+    try {
+      assert.equal(list.__captureFirst(), undefined);
+    }
+    finally {
+      reducedMotion = false;
+    }
+  });
+
+});
@@ -0,0 +1,8 @@
+
+/**
+  * Test stand-in for `@longlost/app-core/app-element.js`.
+  *
+  **/
+
+
+export {FakeElement as AppElement} from '../helpers.js';
@@ -0,0 +1,35 @@
+
+/**
+  * Test stand-in for `@longlost/app-core/lambda.js`.
+  *
+  **/
+
+
+const curry = func => {
+
+  const arity   = func.length;
+  const curried = (...a) => a.length >= arity ? func(...a) : (...b) => curried(...a, ...b);
+
+  return curried;
+};
+
+// Work last to first.
+const compose = (...funcs) => x => funcs.reduceRight((accum, func) => func(accum), x);
+
+const head = array => array[0];
+
+const tail = array => array[array.length - 1];
+
+const split = curry((separator, str) => str.split(separator));
+
+const clamp = curry((min, max, num) => Math.min(Math.max(num, min), max));
+
+
+export {
+  clamp,
+  compose,
+  curry,
+  head,
+  split,
+  tail
+};
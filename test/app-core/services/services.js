@@ -0,0 +1,29 @@
+
+/**
+  * Test stand-in for `@longlost/app-core/services/services.js`.
+  *
+  *   Tests replace the fakes, ie. 'services.onSnapshot = ...'.
+  *
+  **/
+
+
+export const services = {
+  collection: (db, path) => ({path}),
+  doc:        (db, path) => ({path}),
+  getDoc:     async () => ({exists: () => false}),
+  initDb:     async () => ({}),
+  limit:      count => ({limit: count}),
+  onSnapshot: () => () => {},
+  queryColl:  (ref, ...constraints) => ({constraints, ref}),
+  startAt:    doc => ({startAt: doc})
+};
+
+
+export const collection = (...args) => services.collection(...args);
+export const doc        = (...args) => services.doc(...args);
+export const getDoc     = (...args) => services.getDoc(...args);
+export const initDb     = (...args) => services.initDb(...args);
+export const limit      = (...args) => services.limit(...args);
+export const onSnapshot = (...args) => services.onSnapshot(...args);
+export const queryColl  = (...args) => services.queryColl(...args);
+export const startAt    = (...args) => services.startAt(...args);
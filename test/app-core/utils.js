@@ -0,0 +1,59 @@
+
+/**
+  * Test stand-in for `@longlost/app-core/utils.js`.
+  *
+  **/
+
+
+const wait = (waitTime, callback) => new Promise(resolve => {
+
+  window.setTimeout(() => {
+
+    window.requestAnimationFrame(() => {
+
+      resolve(typeof callback === 'function' ? callback() : undefined);
+    });
+  }, waitTime);
+});
+
+// Two frames, so DOM updates have settled.
+const schedule = callback => new Promise(resolve => {
+
+  window.requestAnimationFrame(() => {
+
+    window.requestAnimationFrame(() => {
+
+      resolve(typeof callback === 'function' ? callback() : undefined);
+    });
+  });
+});
+
+
+const consumeEvent = event => {
+
+  event.stopPropagation();
+  event.stopImmediatePropagation();
+
+  return event;
+};
+
+
+const listenOnce = (target, name) => new Promise(resolve => {
+
+  const handler = event => {
+
+    target.removeEventListener(name, handler);
+
+    resolve({event});
+  };
+
+  target.addEventListener(name, handler);
+});
+
+
+export {
+  consumeEvent,
+  listenOnce,
+  schedule,
+  wait
+};
@@ -0,0 +1,71 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {AriaMixin} from '../aria-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList
+} from './helpers.js';
+
+
+const AriaList = AriaMixin(ListBase);
+
+
+describe('AriaMixin', () => {
+
+  it('gives the host list semantics', () => {
+
+    const list = createList(AriaList);
+
+    list.__updateHostAria('list');
+
+    assert.equal(list.attributes.role, 'list');
+  });
+
+
+  it('labels containers by item position, not container order', () => {
+
+    const list       = createList(AriaList);
+    const containers = [createContainer(12), createContainer(10), createContainer(11)];
+
+    list._items = Array(20);
+
+    list.__updateContainersAria('list', [], containers);
+
+    assert.deepEqual(containers.map(container => container.attributes), [
+      {role: 'listitem', 'aria-setsize': '20', 'aria-posinset': '13'},
+      {role: 'listitem', 'aria-setsize': '20', 'aria-posinset': '11'},
+      {role: 'listitem', 'aria-setsize': '20', 'aria-posinset': '12'}
+    ]);
+  });
+
+
+  it('reports an unknown set size when infinite', () => {
+
+    const list      = createList(AriaList);
+    const container = createContainer(3);
+
+    list._items    = Array(5);
+    list._infinite = true;
+
+    list.__updateContainersAria('list', [], [container]);
+
+    assert.equal(container.attributes['aria-setsize'], '-1');
+  });
+
+
+  it('skips containers that are not displaying an item', () => {
+
+    const list      = createList(AriaList);
+    const container = createContainer(undefined);
+
+    list._items = Array(5);
+
+    list.__updateContainersAria('list', [], [container]);
+
+    assert.deepEqual(container.attributes, {});
+  });
+
+});
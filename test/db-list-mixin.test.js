@@ -0,0 +1,250 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {DbListMixin} from '../db-list-mixin.js';
+
+import {services} from './app-core/services/services.js';
+
+import {ListBase, createList} from './helpers.js';
+
+
+// Stands in for the host element, and its 'lite-list'.
+class Base extends ListBase {
+
+  constructor() {
+
+    super();
+
+    this.restored = [];
+
+    this.list = {
+      getScrollState:     () => ({count: 3, index: 1, offset: 4}),
+      restoreScrollState: state => {
+        this.restored.push(state);
+      }
+    };
+  }
+
+
+  push(path, ...items) {
+
+    return this[path].push(...items);
+  }
+
+
+  select() {
+
+    return this.list;
+  }
+
+
+  set(path, value) {
+
+    this[path] = value;
+  }
+
+}
+
+
+const DbList = DbListMixin(Base);
+
+
+const createDoc = (id, data = {uid: id}) => ({
+  id,
+  data:   () => data,
+  exists: () => true,
+  ref:    {path: `items/${id}`}
+});
+
+
+const toResult = d => ({data: d.data(), doc: d});
+
+
+const createSnapshot = docs => ({
+  empty:   !docs.length,
+  forEach: callback => docs.forEach(callback)
+});
+
+// Captures each query and its snapshot listener.
+const listen = () => {
+
+  const listeners = [];
+
+  services.queryColl  = (ref, ...constraints) => ({constraints, ref});
+  services.onSnapshot = (q, next, error) => {
+    listeners.push({error, next, q});
+
+    return () => {};
+  };
+
+  return listeners;
+};
+
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+
+describe('DbListMixin', () => {
+
+  it('includes the anchor item doc path in the scroll state', () => {
+
+    const list = createList(DbList, {
+      _listItems: ['a', 'b', 'c'].map(id => toResult(createDoc(id)))
+    });
+
+    assert.deepEqual(list.getScrollState(), {count: 3, docPath: 'items/b', index: 1, offset: 4});
+  });
+
+
+  it('leaves the doc path out when the anchor item was garbage collected', () => {
+
+    const list = createList(DbList, {_listItems: [toResult(createDoc('a')), undefined]});
+
+    assert.deepEqual(list.getScrollState(), {count: 3, index: 1, offset: 4});
+  });
+
+
+  it('re-fetches the anchor doc and primes it at its index before restoring', async () => {
+
+    const anchor = createDoc('b');
+    const list   = createList(DbList, {_db: {}});
+    const state  = {count: 3, docPath: 'items/b', index: 2, offset: 4};
+    const paths  = [];
+
+    services.doc    = (db, path) => {
+      paths.push(path);
+
+      return {path};
+    };
+    services.getDoc = async () => anchor;
+
+    await list.restoreScrollState(state);
+
+    assert.deepEqual(paths, ['items/b']);
+    assert.deepEqual(list._listItems, [undefined, undefined, toResult(anchor)]);
+    assert.deepEqual(list.restored, [state]);
+  });
+
+
+  it('restores the scroll position when the anchor doc was deleted', async () => {
+
+    const list  = createList(DbList, {_db: {}});
+    const state = {count: 3, docPath: 'items/b', index: 2, offset: 4};
+
+    services.getDoc = async () => ({exists: () => false});
+
+    await list.restoreScrollState(state);
+
+    assert.equal(list._listItems, undefined);
+    assert.deepEqual(list.restored, [state]);
+  });
+
+
+  it('filters orphaned results from live batches', async () => {
+
+    const listeners = listen();
+    const list      = createList(DbList, {_index: 0, _pagination: {direction: 'forward'}});
+
+    list.__updateItems(true, ['asc'], ['desc'], {}, 2, 0);
+
+    listeners[0].next(createSnapshot([createDoc('a'), createDoc('b', {})]));
+
+    await flush();
+
+    assert.deepEqual(list._listItems.map(item => item.doc.id), ['a']);
+  });
+
+
+  it('ignores latest items fetched by a superseded run', async () => {
+
+    const listeners = listen();
+    const list      = createList(DbList, {anchor: 'end', _latestRun: 0});
+
+    const pending = list.__updateLatestItems('end', true, ['asc'], ['desc'], {}, 2);
+
+    // Hidden while fetching.
+    await list.__updateLatestItems('end', false, ['asc'], ['desc'], {}, 2);
+
+    listeners[0].next(createSnapshot([createDoc('b'), createDoc('a')]));
+
+    await pending;
+
+    assert.equal(list._listItems, undefined);
+    assert.equal(list._busy, false);
+    assert.equal(listeners.length, 1);
+  });
+
+
+  it('bounds the live query to one batch after the newest entry', () => {
+
+    const listeners = listen();
+    const newest    = createDoc('b');
+    const list      = createList(DbList, {_listItems: [toResult(createDoc('a')), toResult(newest)]});
+
+    services.limit   = count => ({limit: count});
+    services.startAt = d => ({startAt: d});
+
+    list.__subscribeLatest({}, ['asc'], 2);
+
+    assert.deepEqual(listeners[0].q.constraints, ['asc', {startAt: newest}, {limit: 3}]);
+
+    // A full batch moves the live query forward.
+    listeners[0].next(createSnapshot(['b', 'c', 'd'].map(id => createDoc(id))));
+
+    assert.deepEqual(list._listItems.map(item => item.doc.id), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(listeners[1].q.constraints, ['asc', {startAt: list._listItems.at(-1).doc}, {limit: 3}]);
+  });
+
+
+  it('ignores older items fetched by a superseded run', async () => {
+
+    const listeners = listen();
+    const items     = [toResult(createDoc('b'))];
+    const list      = createList(DbList, {
+      anchor:             'end',
+      reverseConstraints: ['desc'],
+      _batchSize:         2,
+      _latestRun:         1,
+      _listItems:         items,
+      _resolution:        1
+    });
+
+    const pending = list.__updateOlderItems('end', {index: 0});
+
+    list._latestRun = 2;
+
+    listeners[0].next(createSnapshot([createDoc('b'), createDoc('a')]));
+
+    await pending;
+
+    assert.deepEqual(list._listItems, items);
+    assert.equal(list._busy, true); // Left to the current run.
+  });
+
+
+  it('ignores older items once items are replaced', async () => {
+
+    const listeners = listen();
+    const list      = createList(DbList, {
+      anchor:             'end',
+      reverseConstraints: ['desc'],
+      _batchSize:         2,
+      _latestRun:         1,
+      _listItems:         [toResult(createDoc('b'))],
+      _resolution:        1
+    });
+
+    const pending = list.__updateOlderItems('end', {index: 0});
+    const items   = [toResult(createDoc('x'))];
+
+    list._listItems = items;
+
+    listeners[0].next(createSnapshot([createDoc('b'), createDoc('a')]));
+
+    await pending;
+
+    assert.deepEqual(list._listItems, items);
+    assert.equal(list._busy, false);
+  });
+
+});
@@ -0,0 +1,199 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {DomObserversMixin} from '../dom-observers-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList,
+  createRect
+} from './helpers.js';
+
+
+// Records each observer, along with its options and targets.
+class FakeIntersectionObserver {
+
+  static created = [];
+
+
+  constructor(callback, options) {
+
+    this.callback     = callback;
+    this.disconnected = false;
+    this.options      = options;
+    this.targets      = [];
+
+    FakeIntersectionObserver.created.push(this);
+  }
+
+
+  disconnect() {
+
+    this.disconnected = true;
+  }
+
+
+  observe(el) {
+
+    this.targets.push(el);
+  }
+
+
+  unobserve(el) {
+
+    this.targets = this.targets.filter(target => target !== el);
+  }
+
+}
+
+
+window.IntersectionObserver = FakeIntersectionObserver;
+
+
+const ObserversList = DomObserversMixin(ListBase);
+
+
+const createContainers = count => Array.from({length: count}, (_, index) => createContainer(index));
+
+
+const createObserved = (props = {}) => {
+
+  FakeIntersectionObserver.created = [];
+
+  const list = createList(ObserversList, {
+    threshold:   0,
+    _containers: createContainers(4),
+    _root:       null,
+    _rootMargin: '10px',
+    ...props
+  });
+
+  list.__observeContainers(list._containers);
+
+  return list;
+};
+
+
+describe('DomObserversMixin', () => {
+
+  it('replaces the intersection observer when its root or margin changes', () => {
+
+    const list     = createObserved();
+    const previous = list._intersectionObserver;
+    const root     = createContainer();
+
+    list._root       = root;
+    list._rootMargin = '20px';
+
+    list.__rootChanged(root, '20px');
+
+    const current = list._intersectionObserver;
+
+    assert.equal(previous.disconnected, true);
+    assert.notEqual(current, previous);
+    assert.equal(current.options.root, root);
+    assert.equal(current.options.rootMargin, '20px');
+    assert.deepEqual(current.targets, list._containers);
+  });
+
+
+  it('waits for containers to be observed before replacing the observer', () => {
+
+    const list = createList(ObserversList, {_containers: createContainers(4)});
+
+    FakeIntersectionObserver.created = [];
+
+    list.__rootChanged(null, '20px');
+
+    assert.equal(FakeIntersectionObserver.created.length, 0);
+    assert.equal(list._intersectionObserver, undefined);
+  });
+
+
+  it('merges partial intersection batches, by the observed containers', () => {
+
+    // 'lite-grid' counts cells in '_containerCount', rather than rows.
+    const list       = createObserved({_containerCount: 2});
+    const [observer] = FakeIntersectionObserver.created;
+    const entries    = list._containers.map(target => ({isIntersecting: true, target}));
+
+    observer.callback(entries);
+
+    const updates = entries.slice(0, 2).map(({target}) => ({isIntersecting: false, target}));
+
+    observer.callback(updates);
+
+    assert.equal(list._entries.length, 4);
+    assert.deepEqual(list._entries.map(entry => entry.isIntersecting), [false, false, true, true]);
+
+    // A batch for every observed container replaces them all.
+    observer.callback(entries);
+
+    assert.equal(list._entries, entries);
+  });
+
+  it('uses explicit column counts', () => {
+
+    const list = createList(ObserversList);
+
+    assert.equal(list.__computeColumnCount(3, undefined), 3);
+    assert.equal(list.__computeContainersPer('vertical', {width: 1000}, {width: 100}, 3, 0), 3);
+  });
+
+
+  it('picks the largest breakpoint that fits the host', () => {
+
+    const list    = createList(ObserversList);
+    const columns = {0: 1, 600: 2, 1024: 4};
+
+    assert.equal(list.__computeColumnCount(columns, {width: 599}),  1);
+    assert.equal(list.__computeColumnCount(columns, {width: 600}),  2);
+    assert.equal(list.__computeColumnCount(columns, {width: 1200}), 4);
+    assert.equal(list.__computeColumnCount({600: 2}, {width: 300}), undefined);
+  });
+
+
+  it('includes gap when inferring items per row and row size', () => {
+
+    const list = createList(ObserversList);
+
+    // Three 100px items and two 10px gaps fit in 320px.
+    assert.equal(list.__computeContainersPer('vertical',   {width: 320},  {width: 100},  undefined, 10), 3);
+    assert.equal(list.__computeContainersPer('vertical',   {width: 319},  {width: 100},  undefined, 10), 2);
+    assert.equal(list.__computeContainersPer('horizontal', {height: 210}, {height: 100}, undefined, 10), 2);
+
+    assert.equal(list.__computeSampleSize('height', {height: 100}, 10), 110);
+  });
+
+
+  it('mirrors rects in right-to-left horizontal layouts', () => {
+
+    const list = createList(ObserversList, {_rtl: false});
+    const rect = createRect({height: 100, left: 50, top: 10, width: 100});
+
+    assert.equal(list.__getLogicalRect(rect), rect);
+
+    list._rtl = true;
+
+    // Measured from the right edge of the 400px viewport.
+    assert.deepEqual(list.__getLogicalRect(rect), createRect({height: 100, left: 250, top: 10, width: 100}));
+  });
+
+
+  it('is only right-to-left when horizontal', () => {
+
+    const list = createList(ObserversList);
+
+    window.getComputedStyle = () => ({direction: 'rtl'});
+
+    try {
+      assert.equal(list.__computeRtl('horizontal'), true);
+      assert.equal(list.__computeRtl('vertical'),   false);
+    }
+    finally {
+      delete window.getComputedStyle;
+    }
+  });
+
+});
@@ -0,0 +1,89 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {
+  getPoolSize,
+  getWindowIndex,
+  getWindowStart
+} from '../grid-window.js';
+
+
+// 10 cells fit in the host, plus one partially visible.
+const AXIS = {
+  cellSize: 40,
+  count:    1000,
+  hostSize: 400,
+  margin:   1.5,
+  pinned:   0
+};
+
+
+describe('grid-window', () => {
+
+  it('stamps a single sample cell until measured', () => {
+
+    assert.equal(getPoolSize({...AXIS, cellSize: 0}),           1);
+    assert.equal(getPoolSize({...AXIS, hostSize: 0}),           1);
+    assert.equal(getPoolSize({...AXIS, cellSize: 0, count: 0}), 0);
+  });
+
+
+  it('pools a margin of cells beyond those in view', () => {
+
+    assert.equal(getPoolSize(AXIS),                 17);
+    assert.equal(getPoolSize({...AXIS, margin: 0}), 11);
+  });
+
+
+  it('never pools more cells than scroll', () => {
+
+    assert.equal(getPoolSize({...AXIS, count: 8}),            8);
+    assert.equal(getPoolSize({...AXIS, count: 8, pinned: 2}), 6);
+  });
+
+
+  it('excludes pinned cells from the scrolling area', () => {
+
+    // 8 cells fit beside 2 pinned, plus one partially visible.
+    assert.equal(getPoolSize({...AXIS, margin: 1, pinned: 2}), 9);
+  });
+
+
+  it('splits the extra pooled cells before and after those in view', () => {
+
+    const data = {...AXIS, pool: 17};
+
+    assert.equal(getWindowStart({...data, scroll: 0}),    0);
+    assert.equal(getWindowStart({...data, scroll: 4000}), 97);
+  });
+
+
+  it('clamps the window to the scrolling rows and columns', () => {
+
+    const data = {...AXIS, pool: 17, scroll: 1000000};
+
+    assert.equal(getWindowStart(data),                 983);
+    assert.equal(getWindowStart({...data, pinned: 3}), 980);
+  });
+
+
+  it('keeps entries that remain in the window in the same position', () => {
+
+    const pool   = 5;
+    const before = [0, 1, 2, 3, 4].map(position => getWindowIndex(position, 10, pool));
+    const after  = [0, 1, 2, 3, 4].map(position => getWindowIndex(position, 12, pool));
+
+    assert.deepEqual(before, [10, 11, 12, 13, 14]);
+
+    // Only the first two positions are recycled.
+    assert.deepEqual(after, [15, 16, 12, 13, 14]);
+  });
+
+
+  it('maps positions behind the window start', () => {
+
+    assert.equal(getWindowIndex(0, 7, 5), 10);
+    assert.equal(getWindowIndex(4, 7, 5), 9);
+  });
+
+});
@@ -0,0 +1,228 @@
+
+/**
+  * Shared test fixtures.
+  *
+  *   'FakeElement' also stands in for `@longlost/app-core/app-element.js`.
+  *   There are no Polymer property effects, so tests set properties and
+  *   call observers directly. Fired events, attributes, styles and path
+  *   notifications are recorded instead.
+  *
+  **/
+
+
+// Stands in for 'DOMTokenList', ie. 'element.part'.
+class TokenList extends Set {
+
+  contains(token) {
+
+    return this.has(token);
+  }
+
+
+  remove(token) {
+
+    this.delete(token);
+  }
+
+}
+
+
+export const createRect = ({height = 0, left = 0, top = 0, width = 0} = {}) => ({
+  bottom: top + height,
+  height,
+  left,
+  right:  left + width,
+  top,
+  width
+});
+
+
+export class FakeElement extends EventTarget {
+
+  constructor() {
+
+    super();
+
+    this.attributes  = {};
+    this.children    = [];
+    this.events      = [];
+    this.isConnected = true;
+    this.part        = new TokenList();
+    this.paths       = [];
+    this.rect        = createRect();
+    this.style       = {};
+    this.styles      = {};
+  }
+
+
+  connectedCallback() {}
+
+
+  disconnectedCallback() {}
+
+
+  appendChild(child) {
+
+    this.children.push(child);
+
+    return child;
+  }
+
+
+  fire(name, detail) {
+
+    this.events.push({name, detail});
+
+    this.dispatchEvent(new CustomEvent(name, {detail}));
+  }
+
+
+  getAttribute(name) {
+
+    return this.attributes[name] ?? null;
+  }
+
+
+  getBoundingClientRect() {
+
+    return this.rect;
+  }
+
+
+  hasAttribute(name) {
+
+    return name in this.attributes;
+  }
+
+
+  remove() {
+
+    this.isConnected = false;
+  }
+
+
+  removeAttribute(name) {
+
+    delete this.attributes[name];
+  }
+
+
+  setAttribute(name, value) {
+
+    this.attributes[name] = String(value);
+  }
+
+
+  toggleAttribute(name, force = !this.hasAttribute(name)) {
+
+    if (force) {
+      this.attributes[name] = '';
+    }
+    else {
+      delete this.attributes[name];
+    }
+
+    return force;
+  }
+
+
+  updateStyles(styles) {
+
+    Object.assign(this.styles, styles);
+  }
+
+  // Polymer path API.
+
+  linkPaths(to, from) {
+
+    this.paths.push(`link ${to} ${from}`);
+  }
+
+
+  notifyPath(path, value) {
+
+    this.paths.push(`notify ${path} ${value}`);
+  }
+
+
+  set(path, value) {
+
+    this.paths.push(`set ${path} ${value}`);
+  }
+
+
+  splice(path, start, count, ...items) {
+
+    return this[path].splice(start, count, ...items);
+  }
+
+
+  unlinkPaths(path) {
+
+    this.paths.push(`unlink ${path}`);
+  }
+
+}
+
+// Stands in for the 'lite-list' methods that mixins rely on.
+// Views are not displayed, and items are keyed by 'itemKey'.
+export class ListBase extends FakeElement {
+
+  getSourceIndex(index) {
+
+    return index;
+  }
+
+
+  getViewIndex(sourceIndex) {
+
+    return sourceIndex;
+  }
+
+
+  __getItemId(item, index) {
+
+    return this.itemKey ? this.__getItemKey(item, index) : item;
+  }
+
+
+  __getItemKey(item, index) {
+
+    return this.itemKey ? item?.[this.itemKey] : index;
+  }
+
+
+  __getListStart() {
+
+    return 0;
+  }
+
+}
+
+
+export const createList = (List, props = {}) => Object.assign(new List(), props);
+
+
+export const createContainer = (virtualIndex, props = {}) =>
+                                 Object.assign(new FakeElement(), {virtualIndex}, props);
+
+
+export const toItems = ids => ids.map(id => ({id}));
+
+// Keyboard and click events, dispatched from 'target'.
+export const createEvent = (props = {}, target = {}) => {
+
+  const event = {
+    defaultPrevented: false,
+    composedPath:     () => [target],
+    preventDefault:   () => {
+      event.defaultPrevented = true;
+    },
+    ...props
+  };
+
+  return event;
+};
+
+
+export const eventNames = list => list.events.map(event => event.name);
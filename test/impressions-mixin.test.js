@@ -0,0 +1,150 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {ImpressionsMixin} from '../impressions-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList,
+  createRect,
+  eventNames
+} from './helpers.js';
+
+
+class Base extends ListBase {
+
+  __getViewportBounds() {
+
+    return this._scrollTarget?.getBoundingClientRect() ?? createRect({height: 800, width: 400});
+  }
+
+}
+
+
+const ImpressionsList = ImpressionsMixin(Base);
+
+
+const DWELL = 10;
+
+
+const dwell = () => new Promise(resolve => setTimeout(resolve, DWELL * 3));
+
+
+const createCell = (virtualIndex, top, left = 0) =>
+                     createContainer(virtualIndex, {rect: createRect({height: 100, left, top, width: 100})});
+
+
+const createImpressionsList = (props = {}) => createList(ImpressionsList, {
+  impressionDwell: DWELL,
+  impressionRatio: 0.5,
+  impressions:     true,
+  _appearances:    new Map(),
+  _items:          ['a', 'b', 'c'],
+  ...props
+});
+
+
+const update = list => list.__updateImpressions(list.impressions, list.impressionRatio);
+
+
+const impressed = (list, type) => list.events.
+                                    filter(event => event.name === `lite-list-item-${type}`).
+                                    map(event => event.detail.value.item);
+
+
+describe('ImpressionsMixin', () => {
+
+  it('measures every container of short lists, which are not observed', async () => {
+
+    const list = createImpressionsList({_containers: [createCell(0, 0), createCell(1, 900)]});
+
+    await update(list);
+    await dwell();
+
+    assert.deepEqual(impressed(list, 'visible'), ['a']);
+  });
+
+
+  it('counts items once per appearance, as they move between containers', async () => {
+
+    const cells = [createCell(0, 0), createCell(1, 100)];
+    const list  = createImpressionsList({_containers: cells});
+
+    await update(list);
+    await dwell();
+
+    // 'b' is inserted before 'a', so 'a' is recycled into the second container.
+    list._items = ['b', 'a', 'c'];
+
+    await update(list);
+    await dwell();
+
+    assert.deepEqual(impressed(list, 'visible'), ['a', 'b']);
+
+    // Scrolled out of view.
+    cells.forEach(cell => {
+      cell.rect = createRect({height: 100, top: 1000, width: 100});
+    });
+
+    await update(list);
+
+    const hidden = list.events.filter(event => event.name === 'lite-list-item-hidden');
+
+    assert.deepEqual(hidden.map(event => event.detail.value.item).sort(), ['a', 'b']);
+    assert.equal(hidden.find(event => event.detail.value.item === 'a').detail.value.index, 1);
+  });
+
+
+  it('ignores items that leave before the dwell time', async () => {
+
+    const cell = createCell(0, 0);
+    const list = createImpressionsList({_containers: [cell]});
+
+    await update(list);
+
+    cell.rect = createRect({height: 100, top: 1000, width: 100});
+
+    await update(list);
+    await dwell();
+
+    assert.deepEqual(eventNames(list), []);
+  });
+
+
+  it('requires the ratio of an item to be within the viewport', async () => {
+
+    // 40% visible at the bottom of the viewport.
+    const list = createImpressionsList({_containers: [createCell(0, 760)]});
+
+    await update(list);
+    await dwell();
+
+    assert.deepEqual(eventNames(list), []);
+
+    list.impressionRatio = 0.4;
+
+    await update(list);
+    await dwell();
+
+    assert.deepEqual(impressed(list, 'visible'), ['a']);
+  });
+
+
+  it('clips horizontal scroll targets to the viewport', async () => {
+
+    // The host is wider than the viewport, so only the first two
+    // items are visible, even though all three are within the host.
+    const host = createContainer(undefined, {rect: createRect({height: 100, width: 1000})});
+    const list = createImpressionsList({
+      _containers:   [createCell(0, 0, 0), createCell(1, 0, 300), createCell(2, 0, 500)],
+      _scrollTarget: host
+    });
+
+    await update(list);
+    await dwell();
+
+    assert.deepEqual(impressed(list, 'visible'), ['a', 'b']);
+  });
+
+});
@@ -0,0 +1,191 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import '../lite-list.js';
+
+import {ItemKeyMixin}      from '../item-key-mixin.js';
+import {VariableSizeMixin} from '../variable-size-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList,
+  createRect,
+  toItems
+} from './helpers.js';
+
+
+// Records scroll anchoring, which is measured from the DOM.
+class KeyedList extends ItemKeyMixin(VariableSizeMixin(ListBase)) {
+
+  constructor() {
+
+    super();
+
+    this.kept = [];
+  }
+
+
+  __getKeyAnchor(keys) {
+
+    return this.anchorIndex === undefined ?
+             undefined :
+             {delta: 0, index: this.anchorIndex, key: keys[this.anchorIndex]};
+  }
+
+
+  __keepKeyAnchor(anchor, index) {
+
+    this.kept.push({key: anchor.key, index});
+  }
+
+}
+
+
+const LiteList = window.customElements.get('lite-list');
+
+
+const createKeyedList = (props = {}) => createList(KeyedList, {itemKey: 'id', _sizes: [], ...props});
+
+
+const change = (list, ids, path = '_items') => {
+
+  list._items = toItems(ids);
+
+  list.__keyItemsChanged(list.itemKey, {path});
+};
+
+
+const keysOf = containers => containers.map(container => container.key);
+
+
+describe('ItemKeyMixin', () => {
+
+  it('keeps items in the containers that already display them', () => {
+
+    const list       = createKeyedList({_start: 0});
+    const containers = [{}, {}, {}];
+
+    list._containers = containers;
+
+    list.__mapVariableItems(toItems(['a', 'b', 'c']));
+
+    const items = list.__mapVariableItems(toItems(['c', 'd', 'a']));
+
+    assert.deepEqual(items, toItems(['a', 'd', 'c']));
+    assert.deepEqual(keysOf(containers), ['a', 'd', 'c']);
+    assert.deepEqual(containers.map(container => container.virtualIndex), [2, 1, 0]);
+  });
+
+
+  it('swaps grid cells to keep items in their containers in uniform grids', () => {
+
+    const containers = [0, 1, 2].map(index => createContainer(index, {
+      index,
+      key:      ['a', 'b', 'c'][index],
+      previous: index * 100
+    }));
+
+    const list = createList(LiteList, {
+      itemKey:    'id',
+      _items:     toItems(['c', 'a', 'x']),
+      _sorted:    containers.map(target => ({target})),
+      _start:     0,
+      _translate: 'translateY'
+    });
+
+    const items = list.__mapItems(list._items);
+
+    assert.deepEqual(items, toItems(['a', 'x', 'c']));
+
+    // 'c' moves into the first cell, 'a' into the second,
+    // and the container that displayed 'b' now displays 'x'.
+    assert.deepEqual(containers.map(container => container.cell),         [1, 2, 0]);
+    assert.deepEqual(containers.map(container => container.style.order),  ['1', '2', '0']);
+    assert.deepEqual(containers.map(container => container.previous),     [100, 200, 0]);
+    assert.deepEqual(containers.map(container => container.virtualIndex), [1, 2, 0]);
+    assert.deepEqual(keysOf(containers), ['a', 'x', 'c']);
+
+    // Containers in the same row are sorted by grid cell.
+    containers.forEach(container => {
+      container.rect = createRect({height: 100, width: 100});
+    });
+
+    const sorted = list.__computeSorted(containers, [], 'top');
+
+    assert.deepEqual(sorted.map(({target}) => target.key), ['c', 'a', 'x']);
+  });
+
+
+  it('leaves uniform grid containers in place when unkeyed', () => {
+
+    const containers = [0, 1].map(index => createContainer(index, {index, previous: index * 100}));
+    const list       = createList(LiteList, {
+      _items:  toItems(['b', 'a']),
+      _sorted: containers.map(target => ({target})),
+      _start:  0
+    });
+
+    assert.deepEqual(list.__mapItems(list._items), toItems(['b', 'a']));
+    assert.deepEqual(containers.map(container => container.previous), [0, 100]);
+    assert.deepEqual(containers.map(container => container.cell),     [undefined, undefined]);
+  });
+
+
+  it('moves measured sizes along with their items', () => {
+
+    const list = createKeyedList({_positioned: true});
+
+    change(list, ['a', 'b', 'c']);
+
+    list._sizes = [10, 20, 30];
+
+    change(list, ['c', 'x', 'a']);
+
+    assert.deepEqual(list._sizes, [30, undefined, 10]);
+  });
+
+
+  it('keeps measured sizes when keyed, otherwise resets them', () => {
+
+    const items   = toItems(['a']);
+    const keyed   = createKeyedList({items, _items: items, _sizes: [10]});
+    const unkeyed = createKeyedList({items, itemKey: undefined, _items: items, _sizes: [10]});
+
+    keyed.__variableItemsChanged();
+    unkeyed.__variableItemsChanged();
+
+    assert.deepEqual(keyed._sizes,   [10]);
+    assert.deepEqual(unkeyed._sizes, [undefined]);
+  });
+
+
+  it('anchors the scroll position to the first visible item', () => {
+
+    const list = createKeyedList({anchorIndex: 1});
+
+    change(list, ['a', 'b', 'c']);
+    change(list, ['x', 'y', 'a', 'b', 'c']);
+
+    assert.deepEqual(list.kept, [{key: 'b', index: 3}]);
+  });
+
+
+  it('ignores changes to item properties and end anchored lists', () => {
+
+    const list = createKeyedList({anchorIndex: 0});
+
+    change(list, ['a', 'b']);
+    change(list, ['x', 'a', 'b'], '_items.0.id');
+
+    assert.deepEqual(list._itemKeys, ['a', 'b']);
+
+    list.anchor = 'end';
+
+    change(list, ['y', 'a', 'b']);
+
+    assert.deepEqual(list._itemKeys, ['y', 'a', 'b']);
+    assert.deepEqual(list.kept,      []);
+  });
+
+});
@@ -0,0 +1,106 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {KeyboardMixin} from '../keyboard-mixin.js';
+
+import {
+  ListBase,
+  createEvent,
+  createList
+} from './helpers.js';
+
+
+const KeyboardList = KeyboardMixin(ListBase);
+
+
+const createKeyboardList = (length, props = {}) => createList(KeyboardList, {
+  activeIndex:    0,
+  layout:         'vertical',
+  _containersPer: 1,
+  _items:         Array.from({length}, (_, index) => index),
+  ...props
+});
+
+
+const keydown = target => createEvent({key: 'ArrowDown'}, target);
+
+
+describe('KeyboardMixin', () => {
+
+  it('moves to the first and last items', () => {
+
+    const list = createKeyboardList(10, {activeIndex: 4});
+
+    assert.equal(list.__getNextIndex('Home'), 0);
+    assert.equal(list.__getNextIndex('End'),  9);
+  });
+
+
+  it('moves by row in vertical grids and by item across a row', () => {
+
+    const list = createKeyboardList(10, {activeIndex: 4, _containersPer: 3});
+
+    assert.equal(list.__getNextIndex('ArrowDown'),  7);
+    assert.equal(list.__getNextIndex('ArrowUp'),    1);
+    assert.equal(list.__getNextIndex('ArrowRight'), 5);
+    assert.equal(list.__getNextIndex('ArrowLeft'),  3);
+  });
+
+
+  it('flips horizontal arrow keys for right-to-left layouts', () => {
+
+    const ltr = createKeyboardList(10, {activeIndex: 4, layout: 'horizontal'});
+    const rtl = createKeyboardList(10, {activeIndex: 4, layout: 'horizontal', _rtl: true});
+
+    assert.equal(ltr.__getNextIndex('ArrowRight'), 5);
+    assert.equal(rtl.__getNextIndex('ArrowRight'), 3);
+    assert.equal(rtl.__getNextIndex('ArrowLeft'),  5);
+  });
+
+
+  it('clamps to the list, or wraps when infinite', () => {
+
+    const list     = createKeyboardList(5, {activeIndex: 4});
+    const infinite = createKeyboardList(5, {activeIndex: 4, _infinite: true});
+
+    assert.equal(list.__getNextIndex('ArrowDown'),     4);
+    assert.equal(infinite.__getNextIndex('ArrowDown'), 0);
+
+    infinite.activeIndex = 0;
+
+    assert.equal(infinite.__getNextIndex('ArrowUp'), 4);
+  });
+
+
+  it('pages by the number of items that fit in the viewport', () => {
+
+    const list = createKeyboardList(100, {activeIndex: 10, _hostSize: 500, _sampleSize: 100});
+
+    assert.equal(list.__getNextIndex('PageDown'), 15);
+    assert.equal(list.__getNextIndex('PageUp'),   5);
+  });
+
+
+  it('ignores unhandled keys', () => {
+
+    const list = createKeyboardList(5);
+
+    assert.equal(list.__getNextIndex('a'), undefined);
+  });
+
+
+  it('leaves keys pressed within slotted inputs alone', async () => {
+
+    const container = {};
+    const input     = {};
+    const list      = createKeyboardList(5, {_containers: [container]});
+    const event     = keydown(input);
+
+    await list.__keydownHandler(event);
+
+    assert.equal(event.defaultPrevented, false);
+    assert.equal(list.activeIndex, 0);
+    assert.equal(list.__isContainerKeydown(keydown(container)), true);
+  });
+
+});
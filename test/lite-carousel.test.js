@@ -0,0 +1,165 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import '../lite-carousel.js';
+
+import {createList} from './helpers.js';
+
+
+// Readonly 'section' is set by Polymer's generated setter.
+class LiteCarousel extends window.customElements.get('lite-carousel') {
+
+  _setSection(section) {
+
+    this.section = section;
+  }
+
+}
+
+
+// Records the scrolling done by the inner 'lite-list'.
+const createScroller = () => {
+
+  const calls = [];
+
+  return {
+    calls,
+    animateToIndex: async index => {
+      calls.push(`animate ${index}`);
+    },
+    moveToIndex:    async index => {
+      calls.push(`move ${index}`);
+    }
+  };
+};
+
+
+const createCarousel = (props = {}) => createList(LiteCarousel, {
+  $:                {list: createScroller(), snapper: {style: {}}},
+  autoplayInterval: 5,
+  items:            ['a', 'b', 'c'],
+  section:          0,
+  _virtualSection:  0,
+  ...props
+});
+
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+
+const sections = carousel => carousel.events.
+                               filter(event => event.name === 'lite-carousel-section-changed').
+                               map(event => event.detail.value.index);
+
+
+describe('lite-carousel', () => {
+
+  it('resolves navigation once the list has scrolled to the section', async () => {
+
+    const carousel = createCarousel();
+
+    await carousel.next();
+
+    assert.deepEqual(carousel.$.list.calls, ['animate 1']);
+    assert.equal(carousel.section, 1);
+    assert.deepEqual(sections(carousel), [1]);
+
+    await carousel.previous();
+    await carousel.previous();
+
+    assert.equal(carousel.section, 0);
+    assert.deepEqual(sections(carousel), [1, 0]);
+  });
+
+
+  it('wraps previous() around to the last section when infinite', async () => {
+
+    const carousel = createCarousel({infinite: true});
+
+    await carousel.previous();
+
+    assert.deepEqual(carousel.$.list.calls, ['move 3', 'animate 2']);
+    assert.equal(carousel.section, 2);
+    assert.equal(carousel._virtualSection, 2);
+    assert.deepEqual(sections(carousel), [2]);
+  });
+
+
+  it('loops past the last section when infinite', async () => {
+
+    const carousel = createCarousel({infinite: true, section: 2, _virtualSection: 2});
+
+    await carousel.next();
+
+    assert.equal(carousel.section, 0);
+    assert.equal(carousel._virtualSection, 3);
+  });
+
+
+  it('starts autoplay once items arrive', async () => {
+
+    const carousel = createCarousel({items: undefined});
+
+    carousel.__updateAutoplay(true, 5, false, 0, undefined);
+
+    await tick();
+
+    assert.deepEqual(carousel.$.list.calls, []);
+
+    carousel.items = ['a', 'b', 'c'];
+
+    carousel.__updateAutoplay(true, 5, false, 0, 3);
+
+    await tick();
+
+    assert.deepEqual(carousel.$.list.calls, ['animate 1']);
+  });
+
+
+  it('stops autoplay at the last section, unless infinite', async () => {
+
+    const carousel = createCarousel({section: 2, _virtualSection: 2});
+
+    carousel.__updateAutoplay(true, 5, false, 2, 3);
+
+    await tick();
+
+    assert.deepEqual(carousel.$.list.calls, []);
+
+    carousel.infinite = true;
+
+    carousel.__updateAutoplay(true, 5, false, 2, 3);
+
+    await tick();
+
+    assert.deepEqual(carousel.$.list.calls, ['animate 3']);
+  });
+
+
+  it('pauses autoplay', async () => {
+
+    const carousel = createCarousel();
+
+    carousel.__updateAutoplay(true, 5, true, 0, 3);
+
+    await tick();
+
+    assert.deepEqual(carousel.$.list.calls, []);
+  });
+
+
+  it('keeps a logical snap point at the current section', () => {
+
+    const carousel = createCarousel();
+
+    carousel.__updateSnapper(2, 300);
+
+    assert.equal(carousel.$.snapper.style['inset-inline-start'], '600px');
+
+    // Not measured yet.
+    carousel.__updateSnapper(3, 0);
+
+    assert.equal(carousel.$.snapper.style['inset-inline-start'], '600px');
+  });
+
+});
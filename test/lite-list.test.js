@@ -0,0 +1,254 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import '../lite-list.js';
+
+import {
+  createContainer,
+  createList,
+  createRect
+} from './helpers.js';
+
+
+const LiteList = window.customElements.get('lite-list');
+
+
+// 100px items, 'per' to a row/column, positioned by index.
+const createCell = (index, layout, per) => {
+
+  const section = Math.floor(index / per);
+  const cross   = index % per;
+  const left    = layout === 'horizontal' ? section * 100 : cross * 100;
+  const top     = layout === 'horizontal' ? cross * 100   : section * 100;
+
+  return createContainer(index, {index, rect: createRect({height: 100, left, top, width: 100})});
+};
+
+
+const createLiteList = (props = {}) => createList(LiteList, {
+  layout: 'vertical',
+  _items: Array.from({length: 100}, (_, index) => index),
+  ...props
+});
+
+
+const visibleRange = async list => {
+
+  list.events = [];
+
+  await list.__updateVisibleRange();
+
+  return list.events.find(event => event.name === 'lite-list-visible-range-changed')?.detail.value;
+};
+
+
+// Records scrolling, rather than measuring the DOM.
+const createScrollingList = (props = {}) => {
+
+  const calls = [];
+
+  return createLiteList({
+    calls,
+    _containers:        [createCell(0, 'vertical', 1)],
+    _sampleSize:        100,
+    __getCurrentScroll: () => 0,
+    __reposition:       async () => {
+      calls.push('reposition');
+    },
+    __scrollToIndex:    (index, position, behavior) => {
+      calls.push(`scroll ${index} ${position} ${behavior}`);
+    },
+    ...props
+  });
+};
+
+
+describe('lite-list', () => {
+
+  it('reports the first and last visible items in horizontal grids', async () => {
+
+    // Two items per column, with the host showing two columns.
+    const cells = [1, 0, 3, 2, 5, 4].map(index => createCell(index, 'horizontal', 2));
+    const list  = createLiteList({
+      layout:      'horizontal',
+      rect:        createRect({height: 200, width: 200}),
+      _containers: cells
+    });
+
+    // Horizontal layouts scroll the host.
+    list._scrollTarget = list;
+
+    assert.deepEqual(await visibleRange(list), {
+      count:       4,
+      first:       0,
+      last:        3,
+      length:      100,
+      sourceFirst: 0,
+      sourceLast:  3
+    });
+  });
+
+
+  it('orders items within a row of a vertical grid', async () => {
+
+    const cells = [2, 1, 0, 5, 4, 3].map(index => createCell(index, 'vertical', 3));
+    const list  = createLiteList({_containers: cells});
+
+    window.innerWidth  = 300;
+    window.innerHeight = 150;
+
+    try {
+
+      const range = await visibleRange(list);
+
+      assert.equal(range.first, 0);
+      assert.equal(range.last,  5);
+    }
+    finally {
+      window.innerWidth  = 400;
+      window.innerHeight = 800;
+    }
+  });
+
+
+  it('measures every container of short lists', async () => {
+
+    const cells = [0, 1].map(index => createCell(index, 'vertical', 1));
+    const list  = createLiteList({_containers: cells, _items: [0, 1]});
+
+    assert.deepEqual(await visibleRange(list), {
+      count:       2,
+      first:       0,
+      last:        1,
+      length:      2,
+      sourceFirst: 0,
+      sourceLast:  1
+    });
+  });
+
+
+  it('reports again when only the number of items changes', async () => {
+
+    const cells = [0, 1, 2].map(index => createCell(index, 'vertical', 1));
+    const list  = createLiteList({_containers: cells});
+
+    await visibleRange(list);
+
+    assert.equal(await visibleRange(list), undefined);
+
+    list._items = [...list._items, 100];
+
+    assert.equal((await visibleRange(list)).length, 101);
+  });
+
+
+  it('drives the grid template from explicit columns and gap', () => {
+
+    const list = createLiteList();
+
+    list.__updateGridTemplate(3, 8);
+
+    assert.equal(list.hasAttribute('fixed-columns'), true);
+    assert.deepEqual(list.styles, {'--column-count': '3', '--gap': '8px'});
+
+    list.__updateGridTemplate(undefined, undefined);
+
+    assert.equal(list.hasAttribute('fixed-columns'), false);
+    assert.deepEqual(list.styles, {'--column-count': '1', '--gap': '0px'});
+  });
+
+
+  it('rejects scrolling while detached or empty', async () => {
+
+    const detached = createScrollingList({isConnected: false});
+    const empty    = createScrollingList({_items: []});
+
+    await assert.rejects(detached.scrollToItem(1), /detached or empty/);
+    await assert.rejects(empty.scrollToItem(1),    /detached or empty/);
+
+    assert.deepEqual(detached.calls, []);
+  });
+
+
+  it('waits for containers to be measured, then gives up', async () => {
+
+    const list = createScrollingList({_sampleSize: undefined});
+
+    const scrolled = list.scrollToItem(1, {behavior: 'instant'});
+
+    list.fire('lite-list-item-bbox-changed', {value: {}});
+
+    await scrolled;
+
+    assert.deepEqual(list.calls, ['scroll 1 start instant', 'reposition']);
+
+    const hidden = createScrollingList({_sampleSize: undefined});
+
+    await assert.rejects(hidden.scrollToItem(1), /not measured/);
+  });
+
+
+  it('rejects items that are not in the list', async () => {
+
+    const list = createScrollingList();
+
+    await assert.rejects(list.scrollToItem('missing'), /not found/);
+  });
+
+
+  it('does not scroll to items that are already in view', async () => {
+
+    const list = createScrollingList({_containersPer: 1, _hostSize: 800, __getListStart: () => 0});
+
+    await list.scrollToItem(2, {position: 'nearest'});
+
+    assert.deepEqual(list.calls, []);
+
+    await list.scrollToItem(20, {position: 'nearest'});
+
+    assert.deepEqual(list.calls, ['scroll 20 end smooth', 'reposition']);
+  });
+
+
+  it('stops waiting for scrolling to settle while it keeps changing', async () => {
+
+    let scroll = 0;
+
+    const list = createScrollingList({__getCurrentScroll: () => (scroll += 1)});
+
+    await list.scrollToItem(1);
+
+    assert.deepEqual(list.calls, ['scroll 1 start smooth', 'reposition']);
+    assert.equal(scroll, 300);
+  });
+
+
+  it('mirrors horizontal translations and scrolling in right-to-left layouts', () => {
+
+    const scrolls = [];
+    const cells   = [0, 1].map(index => createCell(index, 'horizontal', 1));
+    const list    = createLiteList({layout: 'horizontal', _containers: cells, _translate: 'translateX'});
+
+    list._scrollTarget = Object.assign(list, {
+      scrollLeft: -250,
+      scroll:     options => {
+        scrolls.push(options.left);
+      }
+    });
+
+    list.__move(cells[0], 100);
+    list.__move(cells[1], 200);
+
+    list._rtl = true;
+
+    list.__rtlChanged();
+
+    assert.deepEqual(cells.map(cell => cell.style.transform), ['translateX(-100px)', 'translateX(-200px)']);
+    assert.equal(list.__getCurrentScroll(), 250);
+
+    list.__scrollTo(300, 'instant');
+
+    assert.deepEqual(scrolls, [-300]);
+  });
+
+});
@@ -0,0 +1,47 @@
+
+/**
+  * Module resolution hooks, registered by 'setup.js'.
+  *
+  **/
+
+
+const APP_CORE  = '@longlost/app-core/';
+const APP_LISTS = '@longlost/app-lists/';
+
+
+export const resolve = (specifier, context, nextResolve) => {
+
+  if (specifier.startsWith(APP_CORE)) {
+
+    return {
+      shortCircuit: true,
+      url:          new URL(`./app-core/${specifier.slice(APP_CORE.length)}`, import.meta.url).href
+    };
+  }
+
+  // This package, imported by name.
+  if (specifier.startsWith(APP_LISTS)) {
+
+    return {
+      shortCircuit: true,
+      url:          new URL(`../${specifier.slice(APP_LISTS.length)}`, import.meta.url).href
+    };
+  }
+
+  return nextResolve(specifier, context);
+};
+
+
+export const load = (url, context, nextLoad) => {
+
+  if (url.endsWith('.html')) {
+
+    return {
+      format:       'module',
+      shortCircuit: true,
+      source:       `export default '';`
+    };
+  }
+
+  return nextLoad(url, context);
+};
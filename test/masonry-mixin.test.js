@@ -0,0 +1,117 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {MasonryMixin}      from '../masonry-mixin.js';
+import {VariableSizeMixin} from '../variable-size-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList
+} from './helpers.js';
+
+
+class Base extends ListBase {
+
+  __getKeyDelta() {
+
+    return 'super';
+  }
+
+}
+
+
+const MasonryList = MasonryMixin(VariableSizeMixin(Base));
+
+
+// Item heights, in pixels.
+const HEIGHTS = [100, 20, 30, 60, 10];
+
+
+const createMasonryList = (props = {}) => {
+
+  const list = createList(MasonryList, {
+    itemSize:       item => item,
+    layout:         'masonry',
+    _containersPer: 2,
+    _items:         HEIGHTS,
+    ...props
+  });
+
+  list._offsets = list.__computeOffsets(true, HEIGHTS.length, [], 50, 2, 0);
+
+  return list;
+};
+
+
+describe('MasonryMixin', () => {
+
+  it('places each item in the shortest column', () => {
+
+    const list = createMasonryList();
+
+    assert.deepEqual(list._masonryColumns, [0, 1, 1, 1, 0]);
+    assert.deepEqual(list._offsets,        [0, 0, 20, 50, 100, 110]);
+  });
+
+
+  it('uses measured or estimated sizes without an itemSize callback', () => {
+
+    const list    = createMasonryList({itemSize: undefined});
+    const offsets = list.__computeOffsets(true, 3, [10, 20], 30, 2, 5);
+
+    assert.deepEqual(offsets,              [0, 0, 15, 50]);
+    assert.deepEqual(list._masonryColumns, [0, 1, 0]);
+  });
+
+
+  it('defers to variable sizes in other layouts', () => {
+
+    const list    = createMasonryList({layout: 'vertical'});
+    const offsets = list.__computeOffsets(true, 2, [10, 20], 30, 1, 0);
+
+    assert.deepEqual(offsets, [0, 10, 30]);
+  });
+
+
+  it('starts rendering at taller items in other columns', () => {
+
+    const list = createMasonryList();
+
+    // Item 3 starts at 50, but item 0 is still visible until 100.
+    assert.equal(list.__getVariableIndex(60),      3);
+    assert.equal(list.__getVariableFirstIndex(60), 0);
+
+    // Item 4 starts at 100, in the same column as item 0.
+    assert.equal(list.__getVariableFirstIndex(100), 3);
+  });
+
+
+  it('moves by one item with arrow keys', () => {
+
+    const list = createMasonryList();
+
+    assert.equal(list.__getKeyDelta('ArrowDown'), 1);
+    assert.equal(list.__getKeyDelta('ArrowLeft'), -1);
+    assert.equal(list.__getKeyDelta('PageDown'),  'super');
+  });
+
+
+  it('translates containers to their column and offset', () => {
+
+    const container = createContainer(3);
+    const list      = createMasonryList({
+      gap:          10,
+      _columnCount: 2,
+      _containers:  [container],
+      _hostBbox:    {width: 210}
+    });
+
+    list.__placeVariableContainers();
+
+    assert.equal(container.style['width'],     '100px');
+    assert.equal(container.style['transform'], 'translate(110px, 50px)');
+    assert.equal(container.previous,           50);
+  });
+
+});
@@ -0,0 +1,79 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {PlaceholderMixin} from '../placeholder-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList
+} from './helpers.js';
+
+
+class Base extends ListBase {
+
+  getSourceIndex(index) {
+
+    return index + 100;
+  }
+
+  // Each placeholder has already been created.
+  querySelector() {
+
+    return {};
+  }
+
+}
+
+
+const PlaceholderList = PlaceholderMixin(Base);
+
+
+const createCell = (index, virtualIndex) => createContainer(virtualIndex, {index});
+
+
+const isPlaceholder = container =>
+                        container.hasAttribute('placeholder') && container.part.contains('placeholder');
+
+
+describe('PlaceholderMixin', () => {
+
+  it('displays placeholders for missing items', () => {
+
+    const list       = createList(PlaceholderList);
+    const containers = [createCell(0, 4), createCell(1, 2), createCell(2, 3)];
+
+    list._items = ['a', 'b', undefined, 'd', undefined];
+
+    list.__updatePlaceholders([], containers);
+
+    assert.deepEqual(containers.map(isPlaceholder), [true, true, false]);
+    assert.deepEqual(list.events, [{
+      name:   'lite-list-items-missing',
+      detail: {value: {indexes: [2, 4], sourceIndexes: [102, 104]}}
+    }]);
+  });
+
+
+  it('only fires when the missing items change', () => {
+
+    const list       = createList(PlaceholderList);
+    const containers = [createCell(0, 0), createCell(1, 1)];
+
+    list._items = [undefined, 'b'];
+
+    list.__updatePlaceholders([], containers);
+    list.__updatePlaceholders([], containers);
+
+    assert.equal(list.events.length, 1);
+
+    // The item loads.
+    list._items = ['a', 'b'];
+
+    list.__updatePlaceholders([], containers);
+
+    assert.equal(list.events.length, 1);
+    assert.deepEqual(containers.map(isPlaceholder), [false, false]);
+  });
+
+});
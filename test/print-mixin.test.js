@@ -0,0 +1,194 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {PrintMixin} from '../print-mixin.js';
+
+import {ListBase, createList} from './helpers.js';
+
+
+// Used by 'exportFragment'.
+globalThis.document ??= {
+  createDocumentFragment: () => ({
+    children: [],
+    appendChild(child) {
+      this.children.push(child);
+    }
+  })
+};
+
+
+// Records scroll restoration.
+class Base extends ListBase {
+
+  getScrollState() {
+
+    return {index: 3};
+  }
+
+
+  async restoreScrollState(state) {
+
+    this.restored = state;
+
+    if (this.restoreError) {
+
+      throw this.restoreError;
+    }
+  }
+
+}
+
+
+const PrintList = PrintMixin(Base);
+
+
+const createElement = name => ({
+  name,
+  attributes: {slot: 'slot-0'},
+  cloneNode:  () => createElement(`${name} copy`),
+  removeAttribute(attr) {
+    delete this.attributes[attr];
+  }
+});
+
+
+const createPrinted = (virtualIndex, name, placeholder = false) => ({
+  virtualIndex,
+  hasAttribute:  attr => attr === 'placeholder' && placeholder,
+  querySelector: () => ({
+    assignedElements: () => [createElement(name)]
+  })
+});
+
+
+// Hands the template repeater a new, but still partial, set of items.
+const churn = list => {
+
+  const id = setInterval(() => {
+    list.dispatchEvent(new Event('lite-list-current-items-changed'));
+  }, 1);
+
+  return () => clearInterval(id);
+};
+
+
+const createPrintList = (props = {}) => createList(PrintList, {
+  _containers:   [],
+  _currentItems: [],
+  _exportCount:  0,
+  _items:        [],
+  ...props
+});
+
+
+describe('PrintMixin', () => {
+
+  it('renders every item when set, printing or exporting', () => {
+
+    const list = createPrintList();
+
+    assert.equal(list.__computeRenderingAll(false, false, 0), false);
+    assert.equal(list.__computeRenderingAll(true,  false, 0), true);
+    assert.equal(list.__computeRenderingAll(false, true,  0), true);
+    assert.equal(list.__computeRenderingAll(false, false, 2), true);
+  });
+
+
+  it('resolves once every item is stamped', async () => {
+
+    const list = createPrintList({_currentItems: ['a', 'b'], _items: ['a', 'b']});
+
+    assert.equal(await list.__allRendered(), true);
+  });
+
+
+  it('gives up when items keep changing', async () => {
+
+    const list = createPrintList({_currentItems: ['a'], _items: ['a', 'b']});
+    const stop = churn(list);
+
+    try {
+      assert.equal(await list.__allRendered(), false);
+    }
+    finally {
+      stop();
+    }
+  });
+
+
+  it('gives up when items are never stamped', async () => {
+
+    const list = createPrintList({_items: ['a']});
+
+    assert.equal(await list.__allRendered(), false);
+  });
+
+
+  it('exports copies of every item, in order, without placeholders', async () => {
+
+    const list = createPrintList({
+      _containers: [
+        createPrinted(2, 'c'),
+        createPrinted(0, 'a'),
+        createPrinted(1, 'b', true)
+      ],
+      _currentItems: ['a', 'b', 'c'],
+      _items:        ['a', 'b', 'c']
+    });
+
+    const exports = [list.exportFragment(), list.exportFragment()];
+
+    assert.equal(list._exportCount, 2);
+
+    const [fragment] = await Promise.all(exports);
+
+    assert.equal(list._exportCount, 0);
+    assert.deepEqual(fragment.children.map(child => child.name),       ['a copy', 'c copy']);
+    assert.deepEqual(fragment.children.map(child => child.attributes), [{}, {}]);
+  });
+
+
+  it('rejects and stops rendering every item when export fails', async () => {
+
+    const list = createPrintList({_currentItems: ['a'], _items: ['a', 'b']});
+    const stop = churn(list);
+
+    try {
+      await assert.rejects(list.exportFragment(), /could not render every item/);
+    }
+    finally {
+      stop();
+    }
+
+    assert.equal(list._exportCount, 0);
+  });
+
+
+  it('leaves print mode even when the scroll position cannot be restored', async () => {
+
+    const list   = createPrintList({restoreError: new Error('detached')});
+    const errors = [];
+    const log    = console.error;
+
+    list._renderAllState = list.getScrollState();
+    list._positioned     = true;
+
+    console.error = err => {
+      errors.push(err);
+    };
+
+    try {
+      await list.__renderingAllChanged(false, true);
+    }
+    finally {
+      console.error = log;
+    }
+
+    assert.deepEqual(list.restored, {index: 3});
+    assert.deepEqual(errors, [list.restoreError]);
+    assert.equal(list._renderAllState, undefined);
+    assert.equal(list.hasAttribute('rendering-all'), false);
+    assert.deepEqual(list.events.map(event => event.detail.value), [false]);
+  });
+
+});
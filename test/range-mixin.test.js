@@ -0,0 +1,150 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {RangeMixin} from '../range-mixin.js';
+
+import {
+  ListBase,
+  createList,
+  eventNames
+} from './helpers.js';
+
+
+class Base extends ListBase {
+
+  constructor() {
+
+    super();
+
+    this.shifts = [];
+  }
+
+
+  __getLastVisibleIndex() {
+
+    return this.last;
+  }
+
+
+  __shiftScroll(delta) {
+
+    this.shifts.push(delta);
+  }
+
+}
+
+
+const RangeList = RangeMixin(Base);
+
+
+const createRangeList = (props = {}) => createList(RangeList, {
+  rangeThreshold:     10,
+  rangeThresholdUnit: 'items',
+  _loadingReserve:    0,
+  ...props
+});
+
+
+describe('RangeMixin', () => {
+
+  it('fires once per approach to the end', () => {
+
+    const list = createRangeList({last: 85});
+
+    list.__updateRange(80, 0, 100, 500);
+
+    assert.deepEqual(eventNames(list), []);
+
+    list.last = 90;
+    list.__updateRange(85, 0, 100, 500);
+    list.__updateRange(86, 0, 100, 500);
+
+    assert.deepEqual(eventNames(list), ['lite-list-range-end-reached']);
+    assert.deepEqual(list.events[0].detail.value, {index: 90, length: 100, sourceIndex: 90});
+
+    // Moving away, then back again, is a new approach.
+    list.last = 50;
+    list.__updateRange(45, 0, 100, 500);
+    list.last = 95;
+    list.__updateRange(90, 0, 100, 500);
+
+    assert.equal(list.events.length, 2);
+  });
+
+
+  it('starts a new approach once more items load', () => {
+
+    const list = createRangeList({last: 95});
+
+    list.__updateRange(90, 0, 100, 500);
+    list.__rangeLengthChanged();
+    list.__updateRange(90, 0, 100, 500);
+
+    assert.equal(list.events.length, 2);
+  });
+
+
+  it('measures the threshold in viewports', () => {
+
+    const list = createRangeList({last: 69, rangeThreshold: 2, rangeThresholdUnit: 'viewports'});
+
+    // 10 visible items, so within 20 items of the end.
+    list.__updateRange(60, 0, 90, 500);
+
+    assert.deepEqual(eventNames(list), ['lite-list-range-end-reached']);
+  });
+
+
+  it('only fires at the start while scrolling toward it', () => {
+
+    const list = createRangeList({last: 10});
+
+    list.__updateRange(5, 0, 100, 500);
+
+    assert.deepEqual(eventNames(list), []);
+
+    list._direction = 'reverse';
+    list.__updateRange(5, 0, 100, 500);
+
+    assert.deepEqual(eventNames(list), ['lite-list-range-start-reached']);
+  });
+
+
+  it('is disabled when infinite', () => {
+
+    const list = createRangeList({last: 99, _infinite: true});
+
+    list.__updateRange(95, 0, 100, 500);
+
+    assert.deepEqual(eventNames(list), []);
+  });
+
+
+  it('reserves space before the first item for the loading slot', () => {
+
+    const list = createRangeList();
+
+    list.__reserveLoadingSpace(40);
+
+    assert.equal(list.styles['--loading-offset'], '40px');
+
+    // Keep the visible items in place as the slot is shown and hidden.
+    list.__reserveLoadingSpace(60);
+    list.__reserveLoadingSpace(60);
+    list.__reserveLoadingSpace(0);
+
+    assert.equal(list.styles['--loading-offset'], '0px');
+    assert.deepEqual(list.shifts, [40, 20, -60]);
+  });
+
+
+  it('reserves space in the other direction when right-to-left', () => {
+
+    const list = createRangeList({_rtl: true});
+
+    list.__reserveLoadingSpace(40);
+
+    assert.equal(list.styles['--loading-offset'], '-40px');
+  });
+
+});
@@ -0,0 +1,132 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {RenderMixin} from '../render-mixin.js';
+
+import {
+  FakeElement,
+  ListBase,
+  createContainer,
+  createList
+} from './helpers.js';
+
+
+const RenderList = RenderMixin(ListBase);
+
+
+// Records each call to the render callbacks.
+const createRenderList = (props = {}) => {
+
+  const calls = [];
+
+  const list = createList(RenderList, {
+    calls,
+    createItem:  containerIndex => Object.assign(new FakeElement(), {name: `element ${containerIndex}`}),
+    recycleItem: (element, item, index) => {
+      calls.push(`recycle ${element.name} ${item} ${index}`);
+    },
+    renderItem:  (item, index, element) => {
+      calls.push(`render ${element.name} ${item.name ?? item} ${index}`);
+    },
+    _containers: [0, 1].map(index => createContainer(index, {index})),
+    _rendered:   new Map(),
+    ...props
+  });
+
+  return list;
+};
+
+
+const render = list => list.__renderItems(list.renderItem, list._currentItems, list._containers);
+
+
+describe('RenderMixin', () => {
+
+  it('creates and slots one element per container', () => {
+
+    const list = createRenderList({_currentItems: ['a', 'b']});
+
+    render(list);
+
+    assert.deepEqual(list.children.map(child => child.attributes.slot), ['slot-0', 'slot-1']);
+    assert.deepEqual(list.calls, ['render element 0 a 0', 'render element 1 b 1']);
+  });
+
+
+  it('recycles elements only when their container displays a different item', () => {
+
+    const list = createRenderList({_currentItems: ['a', 'b']});
+
+    render(list);
+
+    list.calls.length = 0;
+
+    render(list);
+
+    assert.deepEqual(list.calls, []);
+
+    list._currentItems = ['a', 'c'];
+
+    render(list);
+
+    assert.deepEqual(list.calls, ['recycle element 1 b 1', 'render element 1 c 1']);
+    assert.equal(list.children.length, 2);
+  });
+
+
+  it('leaves missing items to the placeholders', () => {
+
+    const list = createRenderList({_currentItems: ['a', undefined]});
+
+    render(list);
+
+    assert.deepEqual(list.calls, ['render element 0 a 0']);
+  });
+
+
+  it('renders items that are changed in place again', () => {
+
+    const item = {name: 'b'};
+    const list = createRenderList({_currentItems: ['a', item], _items: ['a', item]});
+
+    render(list);
+
+    list.calls.length = 0;
+
+    list.__renderItemPathChanged({path: '_items.1.name'});
+
+    assert.deepEqual(list.calls, ['render element 1 b 1']);
+
+    // Not displayed.
+    list.__renderItemPathChanged({path: '_items.5.name'});
+
+    // Replacing the array is handled by '__renderItems'.
+    list.__renderItemPathChanged({path: '_items'});
+
+    assert.equal(list.calls.length, 1);
+  });
+
+
+  it('removes elements with their containers, and when rendering is turned off', () => {
+
+    const list = createRenderList({_currentItems: ['a', 'b']});
+
+    render(list);
+
+    const [first, second] = list.children;
+
+    list._containers = list._containers.slice(0, 1);
+
+    render(list);
+
+    assert.equal(first.isConnected,  true);
+    assert.equal(second.isConnected, false);
+
+    list.__renderModeChanged(undefined);
+
+    assert.equal(first.isConnected, false);
+    assert.equal(list._rendered.size, 0);
+    assert.deepEqual(list.calls.slice(2), ['recycle element 1 b 1', 'recycle element 0 a 0']);
+  });
+
+});
@@ -0,0 +1,163 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {ScrubberMixin} from '../scrubber-mixin.js';
+
+import {
+  FakeElement,
+  ListBase,
+  createList,
+  createRect
+} from './helpers.js';
+
+
+class Base extends ListBase {
+
+  constructor() {
+
+    super();
+
+    this.moves = [];
+  }
+
+
+  moveToIndex(index) {
+
+    this.moves.push(index);
+  }
+
+
+  __getTranslation(distance) {
+
+    return `translate(${distance}px)`;
+  }
+
+}
+
+
+const ScrubberList = ScrubberMixin(Base);
+
+
+// A 1000px track, along the scrolling edge.
+const createScrubberList = (props = {}) => {
+
+  const track = Object.assign(new FakeElement(), {
+    rect:              createRect({height: 1000, width: 1000}),
+    setPointerCapture: () => {}
+  });
+
+  const thumb = Object.assign(new FakeElement(), {rect: createRect({height: 100, width: 100})});
+
+  return createList(ScrubberList, {
+    $:          {scrubber: track, thumb},
+    layout:     'vertical',
+    scrubber:   true,
+    _dimension: 'height',
+    _items:     Array.from({length: 101}, (_, index) => index),
+    _scrubbing: false,
+    ...props
+  });
+};
+
+
+const pointer = (props = {}) => ({button: 0, clientX: 0, clientY: 0, pointerId: 1, preventDefault: () => {}, ...props});
+
+
+const frame = () => new Promise(resolve => setTimeout(resolve, 20));
+
+
+describe('ScrubberMixin', () => {
+
+  it('maps the pointer position along the track to an item index', () => {
+
+    const list = createScrubberList();
+
+    assert.equal(list.__getScrubIndex(pointer({clientY: 0})),    0);
+    assert.equal(list.__getScrubIndex(pointer({clientY: 500})),  50);
+    assert.equal(list.__getScrubIndex(pointer({clientY: 2000})), 100);
+  });
+
+
+  it('follows the horizontal track, from the right when right-to-left', () => {
+
+    const list = createScrubberList({layout: 'horizontal', _dimension: 'width'});
+
+    assert.equal(list.__getScrubIndex(pointer({clientX: 250})), 25);
+
+    list._rtl = true;
+
+    assert.equal(list.__getScrubIndex(pointer({clientX: 250})), 75);
+  });
+
+
+  it('moves to the latest index once per frame while dragging', async () => {
+
+    const list = createScrubberList();
+
+    list.__scrubberPointerdownHandler(pointer({clientY: 100}));
+    list.__scrubberPointermoveHandler(pointer({clientY: 200}));
+    list.__scrubberPointermoveHandler(pointer({clientY: 300}));
+
+    await frame();
+
+    assert.deepEqual(list.moves, [30]);
+    assert.equal(list._scrubbing, true);
+
+    list.__scrubberPointerupHandler();
+
+    assert.equal(list._scrubbing, false);
+    assert.equal(list._scrubIndex, undefined);
+  });
+
+
+  it('ignores secondary buttons and empty lists', () => {
+
+    const list  = createScrubberList();
+    const empty = createScrubberList({_items: []});
+
+    list.__scrubberPointerdownHandler(pointer({button: 2}));
+    empty.__scrubberPointerdownHandler(pointer());
+
+    assert.equal(list._scrubbing,  false);
+    assert.equal(empty._scrubbing, false);
+  });
+
+
+  it('labels the bubble with the scrubbed item', () => {
+
+    const list  = createScrubberList({_items: ['apple', 'banana']});
+    const label = (item, index) => `${item[0].toUpperCase()} ${index}`;
+
+    assert.equal(list.__computeScrubLabel(label, 1), 'B 1');
+    assert.equal(list.__computeScrubLabel(label, 5), '');
+    assert.equal(list.__computeScrubLabel(undefined, 1), '');
+  });
+
+
+  it('places the thumb by item index rather than scroll size', () => {
+
+    const list = createScrubberList();
+
+    list.__updateScrubberThumb(true, 50, undefined, false, 101, 1000);
+
+    assert.equal(list.$.thumb.style.transform, 'translate(450px)');
+
+    // Follows the pointer while dragging.
+    list.__updateScrubberThumb(true, 50, 100, true, 101, 1000);
+
+    assert.equal(list.$.thumb.style.transform, 'translate(900px)');
+  });
+
+
+  it('reports when scrubbing starts and stops', () => {
+
+    const list = createScrubberList();
+
+    list.__scrubbingChanged(true, false);
+    list.__scrubbingChanged(false, true);
+
+    assert.deepEqual(list.events.map(event => event.detail.value), [true, false]);
+    assert.equal(list.hasAttribute('scrubbing'), false);
+  });
+
+});
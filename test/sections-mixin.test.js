@@ -0,0 +1,75 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {SectionsMixin} from '../sections-mixin.js';
+
+import {ListBase, createList} from './helpers.js';
+
+
+const SectionsList = SectionsMixin(ListBase);
+
+
+const createSections = items => createList(SectionsList, {_items: items});
+
+
+describe('SectionsMixin', () => {
+
+  it('starts a new section whenever sectionOf changes', () => {
+
+    const list   = createSections(['apple', 'avocado', 'banana', undefined, 'cherry']);
+    const starts = list.__computeSectionStarts(undefined, item => item[0]);
+
+    assert.deepEqual(starts, [
+      {section: 'a', start: 0},
+      {section: 'b', start: 2},
+      {section: 'c', start: 4}
+    ]);
+  });
+
+
+  it('prefers explicit sections, sorted by start index', () => {
+
+    const list   = createSections(['a', 'b', 'c', 'd']);
+    const starts = list.__computeSectionStarts(undefined, item => item, [{section: 'late', index: 3}, 1]);
+
+    assert.deepEqual(starts, [
+      {section: 1,      start: 1},
+      {section: 'late', start: 3}
+    ]);
+  });
+
+
+  it('finds the section that contains an index', () => {
+
+    const list = createSections(['apple', 'avocado', 'banana', 'blueberry', 'cherry']);
+
+    list._sectionStarts = list.__computeSectionStarts(undefined, item => item[0]);
+
+    assert.deepEqual(list.__getSectionAt(1), {section: 'a', start: 0, index: 0});
+    assert.deepEqual(list.__getSectionAt(3), {section: 'b', start: 2, index: 1});
+    assert.deepEqual(list.__getSectionAt(4), {section: 'c', start: 4, index: 2});
+  });
+
+
+  it('has no section before the first section start', () => {
+
+    const list   = createSections(['a', 'b', 'c']);
+    const starts = list.__computeSectionStarts(undefined, undefined, [1]);
+
+    list._sectionStarts = starts;
+
+    assert.equal(list.__getSectionAt(0), undefined);
+    assert.equal(list.__computeCurrentSection(starts, 0, 3), undefined);
+    assert.deepEqual(list.__computeCurrentSection(starts, 2, 3), {section: 1, start: 1, index: 0});
+  });
+
+
+  it('wraps infinite indexes into the list', () => {
+
+    const list   = createSections(['apple', 'banana']);
+    const starts = list.__computeSectionStarts(undefined, item => item[0]);
+
+    assert.deepEqual(list.__computeCurrentSection(starts, 3, 2), {section: 'b', start: 1, index: 1});
+  });
+
+});
@@ -0,0 +1,231 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {SelectionMixin} from '../selection-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createEvent,
+  createList
+} from './helpers.js';
+
+
+// Stands in for the Polymer property effects
+// and the mixins that 'SelectionMixin' relies on.
+class Base extends ListBase {
+
+  constructor() {
+
+    super();
+
+    this.keyed      = 0;
+    this.updates    = 0;
+    this.__selected = new Set();
+  }
+
+
+  get _selected() {
+
+    return this.__selected;
+  }
+
+
+  set _selected(selected) {
+
+    const previous = this.__selected;
+
+    this.__selected = selected;
+    this.updates++;
+
+    this.__selectedChanged(selected, previous);
+  }
+
+
+  __getItemKey(item, index) {
+
+    this.keyed++;
+
+    return super.__getItemKey(item, index);
+  }
+
+
+  __isContainerKeydown(event) {
+
+    return this._containers.includes(event.composedPath()[0]);
+  }
+
+}
+
+
+const SelectionList = SelectionMixin(Base);
+
+
+const createSelectionList = (selection, props = {}) => createList(SelectionList, {
+  selection,
+  _containers: [0, 1, 2, 3, 4].map(virtualIndex => createContainer(virtualIndex)),
+  _items:      ['a', 'b', 'c', 'd', 'e'].map(id => ({id})),
+  ...props
+});
+
+
+const click = (list, index, modifiers = {}) => {
+
+  list.__selectionClickHandler({
+    ...modifiers,
+    composedPath: () => [{}, list._containers[index]]
+  });
+};
+
+
+describe('SelectionMixin', () => {
+
+  it('replaces the selection with a plain click, in a single update', () => {
+
+    const list = createSelectionList('multiple');
+
+    list.selectRange(0, 1);
+
+    list.updates = 0;
+    list.events  = [];
+
+    click(list, 3);
+
+    assert.equal(list.updates, 1);
+    assert.equal(list.events.length, 1);
+    assert.deepEqual(list.events[0].detail.value, {
+      indexes:       [3],
+      items:         [{id: 'd'}],
+      keys:          [3],
+      sourceIndexes: [3]
+    });
+  });
+
+
+  it('toggles with a modifier click and adds ranges with shift', () => {
+
+    const list = createSelectionList('multiple');
+
+    click(list, 1);
+    click(list, 3, {ctrlKey: true});
+
+    assert.deepEqual(list.selectedItems, [{id: 'b'}, {id: 'd'}]);
+
+    click(list, 3, {metaKey: true});
+    click(list, 4, {shiftKey: true});
+
+    assert.deepEqual(list.selectedItems, [{id: 'b'}, {id: 'd'}, {id: 'e'}]);
+  });
+
+
+  it('only keeps one item selected in single mode', () => {
+
+    const list = createSelectionList('single');
+
+    list.select(1);
+    list.select(2);
+    click(list, 4, {ctrlKey: true});
+
+    assert.deepEqual(list.selectedItems, [{id: 'e'}]);
+  });
+
+
+  it('lists selected items in display order', () => {
+
+    const list = createSelectionList('multiple');
+
+    list.select(4);
+    list.select(0);
+
+    assert.deepEqual(list.selectedItems, [{id: 'a'}, {id: 'e'}]);
+  });
+
+
+  it('keys the selection by item key when set', () => {
+
+    const list = createSelectionList('multiple', {itemKey: 'id'});
+
+    list.select(2);
+
+    // Items move, but the selection follows the key.
+    list._items = [{id: 'c'}, {id: 'a'}];
+
+    list.__selectionItemsChanged();
+
+    assert.equal(list.isSelected(0), true);
+    assert.equal(list.isSelected(1), false);
+  });
+
+
+  it('toggles the active item with Space pressed on its container', () => {
+
+    const list  = createSelectionList('multiple', {activeIndex: 2});
+    const inner = createEvent({key: ' '});
+    const outer = createEvent({key: ' '}, list._containers[2]);
+
+    list.__selectionKeydownHandler(inner);
+
+    assert.equal(inner.defaultPrevented, false);
+    assert.equal(list.isSelected(2), false);
+
+    list.__selectionKeydownHandler(outer);
+
+    assert.equal(outer.defaultPrevented, true);
+    assert.equal(list.isSelected(2), true);
+  });
+
+
+  it('clears the selection', () => {
+
+    const list = createSelectionList('multiple');
+
+    list.selectRange(4, 1);
+    list.clearSelection();
+
+    assert.deepEqual(list.selectedItems, []);
+    assert.deepEqual(list.events.at(-1).detail.value.keys, []);
+  });
+
+
+  it('selects only the end of a range in single mode', () => {
+
+    const list = createSelectionList('single');
+
+    list.selectRange(1, 3);
+
+    assert.deepEqual(list.selectedItems, [{id: 'd'}]);
+  });
+
+
+  it('ignores ranges until selection is set', () => {
+
+    const list = createSelectionList(undefined);
+
+    list.selectRange(1, 3);
+
+    assert.deepEqual(list.events, []);
+    assert.equal(list.updates, 0);
+  });
+
+
+  it('indexes item keys once per change to the displayed items', () => {
+
+    const list = createSelectionList('multiple', {itemKey: 'id'});
+
+    list.selectRange(0, 4);
+
+    list.keyed = 0;
+
+    assert.equal(list.selectedItems.length, 5);
+    assert.equal(list.selectedItems.length, 5);
+    assert.equal(list.keyed, 0);
+
+    list._items = [{id: 'e'}, {id: 'x'}];
+
+    list.__selectionItemsChanged();
+
+    assert.deepEqual(list.selectedItems, [{id: 'e'}]);
+    assert.equal(list.keyed, 2);
+  });
+
+});
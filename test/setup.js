@@ -0,0 +1,34 @@
+
+/**
+  * Preloaded by the 'test' script.
+  *
+  *   `@longlost/app-core` is a browser only package, so its modules are
+  *   replaced with the small stand-ins in 'test/app-core', and '.html'
+  *   templates are imported as empty strings.
+  *
+  **/
+
+
+import {register} from 'node:module';
+
+
+register('./loader.js', import.meta.url);
+
+
+const definitions = new Map();
+
+
+// The browser globals used while modules are evaluated.
+globalThis.window = globalThis;
+
+// Elements are not exported, so tests look them up by name.
+window.customElements = {
+  define: (name, constructor) => definitions.set(name, constructor),
+  get:    name => definitions.get(name)
+};
+
+window.innerHeight           = 800;
+window.innerWidth            = 400;
+window.requestAnimationFrame = callback => setTimeout(callback, 0);
+window.scrollX               = 0;
+window.scrollY               = 0;
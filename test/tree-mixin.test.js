@@ -0,0 +1,270 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {TreeMixin} from '../tree-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createEvent,
+  createList
+} from './helpers.js';
+
+
+// Stands in for the 'lite-list' methods that 'TreeMixin' extends.
+class Base extends ListBase {
+
+  constructor() {
+
+    super();
+
+    this.calls = [];
+  }
+
+
+  getScrollState() {
+
+    return {index: 0, offset: 0};
+  }
+
+
+  __getNextIndex(key) {
+
+    return `super ${key}`;
+  }
+
+
+  __isContainerKeydown() {
+
+    return true;
+  }
+
+
+  __keydownHandler(event) {
+
+    this.calls.push(`keydown ${event.key}`);
+  }
+
+
+  __selectionClickHandler() {
+
+    this.calls.push('select');
+  }
+
+}
+
+
+const TreeList = TreeMixin(Base);
+
+
+const TREE = [
+  {name: 'a', children: [
+    {name: 'a1', children: [{name: 'a1x'}]},
+    {name: 'a2'}
+  ]},
+  {name: 'b'}
+];
+
+
+const createTree = (props = {}) => {
+
+  const list = createList(TreeList, {
+    activeIndex:  0,
+    treeChildren: 'children',
+    _expanded:    new Set(),
+    ...props
+  });
+
+  list.tree = TREE;
+
+  list.__treeChanged(TREE);
+
+  return list;
+};
+
+
+const names = list => list.items.map(node => node.name);
+
+
+const keydown = (list, key) => {
+
+  const event = createEvent({key});
+
+  list.__keydownHandler(event);
+
+  return event;
+};
+
+
+describe('TreeMixin', () => {
+
+  it('flattens only the root nodes at first', () => {
+
+    const list = createTree();
+
+    assert.deepEqual(names(list), ['a', 'b']);
+    assert.deepEqual(list._treeNodes.map(({depth, expandable, posinset, setsize}) =>
+                       ({depth, expandable, posinset, setsize})), [
+      {depth: 0, expandable: true,  posinset: 1, setsize: 2},
+      {depth: 0, expandable: false, posinset: 2, setsize: 2}
+    ]);
+  });
+
+
+  it('descends into expanded nodes, depth first', () => {
+
+    const list = createTree({_expanded: new Set([TREE[0], TREE[0].children[0]])});
+
+    const {items, nodes} = list.__flattenTree(TREE, 0, 0);
+
+    assert.deepEqual(items.map(node => node.name),  ['a', 'a1', 'a1x', 'a2', 'b']);
+    assert.deepEqual(nodes.map(node => node.depth), [0, 1, 2, 1, 0]);
+  });
+
+
+  it('keeps expanded state across new tree data by key', () => {
+
+    const list = createTree({itemKey: 'name'});
+
+    list.expand(0);
+
+    // Same nodes, as new objects.
+    const tree = structuredClone(TREE);
+
+    list.tree = tree;
+
+    list.__treeChanged(tree);
+
+    assert.deepEqual(names(list), ['a', 'a1', 'a2', 'b']);
+  });
+
+  it('accepts a function for children', () => {
+
+    const list = createTree({treeChildren: node => node.name === 'b' ? [{name: 'b1'}] : []});
+
+    list.expand(1);
+
+    assert.deepEqual(names(list), ['a', 'b', 'b1']);
+  });
+
+
+  it('expands and collapses rows in place', () => {
+
+    const list = createTree();
+
+    list.expand(0);
+
+    assert.deepEqual(names(list), ['a', 'a1', 'a2', 'b']);
+    assert.equal(list.isExpanded(0), true);
+
+    list.expand(1);
+
+    assert.deepEqual(names(list), ['a', 'a1', 'a1x', 'a2', 'b']);
+
+    list.collapse(0);
+
+    assert.deepEqual(names(list), ['a', 'b']);
+    assert.deepEqual(list.events.map(event => event.detail.value.expanded), [true, true, false]);
+  });
+
+
+  it('restores expanded descendants', () => {
+
+    const list = createTree();
+
+    list.expand(0);
+    list.expand(1);
+    list.collapse(0);
+    list.expand(0);
+
+    assert.deepEqual(names(list), ['a', 'a1', 'a1x', 'a2', 'b']);
+  });
+
+
+  it('ignores nodes without children', () => {
+
+    const list = createTree();
+
+    list.expand(1);
+
+    assert.deepEqual(names(list), ['a', 'b']);
+    assert.deepEqual(list.events, []);
+  });
+
+
+  it('expands and collapses with ArrowRight and ArrowLeft', () => {
+
+    const list = createTree();
+
+    assert.equal(keydown(list, 'ArrowRight').defaultPrevented, true);
+    assert.equal(list.isExpanded(0), true);
+
+    assert.equal(keydown(list, 'ArrowLeft').defaultPrevented, true);
+    assert.equal(list.isExpanded(0), false);
+
+    // Collapsed, so moves as usual.
+    keydown(list, 'ArrowLeft');
+    keydown(list, 'ArrowDown');
+
+    assert.deepEqual(list.calls, ['keydown ArrowLeft', 'keydown ArrowDown']);
+  });
+
+
+  it('moves between parents and children with arrow keys', () => {
+
+    const list = createTree();
+
+    // Collapsed, so stays put.
+    assert.equal(list.__getNextIndex('ArrowRight'), 0);
+
+    list.expand(0);
+
+    assert.equal(list.__getNextIndex('ArrowRight'), 1);
+
+    list.activeIndex = 2;
+
+    assert.equal(list.__getNextIndex('ArrowLeft'), 0);
+    assert.equal(list.__getNextIndex('ArrowDown'), 'super ArrowDown');
+  });
+
+
+  it('keeps toggle clicks out of the selection', () => {
+
+    const list      = createTree();
+    const container = createContainer(0);
+    const toggle    = createContainer(undefined, {attributes: {'tree-toggle': ''}});
+
+    list._containers = [container];
+
+    list.__treeClickHandler({composedPath: () => [toggle, container]});
+    list.__selectionClickHandler({composedPath: () => [toggle, container]});
+
+    assert.equal(list.isExpanded(0), true);
+    assert.deepEqual(list.calls, []);
+
+    list.__selectionClickHandler({composedPath: () => [container]});
+
+    assert.deepEqual(list.calls, ['select']);
+  });
+
+
+  it('describes rows as tree items', () => {
+
+    const list      = createTree();
+    const container = createContainer(0);
+
+    list.expand(0);
+    list.__updateHostAria('list');
+    list.__updateContainersAria('list', [], [container]);
+
+    assert.equal(list.attributes.role, 'tree');
+    assert.deepEqual(container.attributes, {
+      role:            'treeitem',
+      'aria-level':    '1',
+      'aria-posinset': '1',
+      'aria-setsize':  '2',
+      'aria-expanded': 'true'
+    });
+  });
+
+});
@@ -0,0 +1,197 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {VariableSizeMixin} from '../variable-size-mixin.js';
+
+import {
+  ListBase,
+  createContainer,
+  createList
+} from './helpers.js';
+
+
+// Records which containers are measured.
+class FakeResizeObserver {
+
+  static observed = [];
+
+
+  constructor(callback) {
+
+    this.callback = callback;
+  }
+
+
+  disconnect() {}
+
+
+  observe(el) {
+
+    FakeResizeObserver.observed.push(el);
+  }
+
+}
+
+
+window.ResizeObserver = FakeResizeObserver;
+
+
+class Base extends ListBase {
+
+  __computeContainersPer() {
+
+    return 4;
+  }
+
+}
+
+
+const VariableList = VariableSizeMixin(Base);
+
+// Displays 'view' source indexes of 'items'.
+const createView = (items, view) => createList(VariableList, {
+  items,
+  getSourceIndex: index => view[index],
+  _items:         view.map(index => items[index])
+});
+
+
+describe('VariableSizeMixin', () => {
+
+  it('positions items for variable and masonry layouts', () => {
+
+    const list = createList(VariableList);
+
+    assert.equal(list.__computePositioned(true,  'vertical'), true);
+    assert.equal(list.__computePositioned(false, 'masonry'),  true);
+    assert.equal(list.__computePositioned(false, 'grid'),     false);
+  });
+
+
+  it('only supports one item per row in variable mode', () => {
+
+    const list = createList(VariableList);
+
+    assert.equal(list.__computeContainersPer('vertical', {}, {}, 1, 0, true),  1);
+    assert.equal(list.__computeContainersPer('vertical', {}, {}, 1, 0, false), 4);
+  });
+
+
+  it('averages measured sizes, falling back to the sample size', () => {
+
+    const list = createList(VariableList);
+
+    assert.equal(list.__computeEstimatedSize([], 58, 8), 50);
+    assert.equal(list.__computeEstimatedSize([10, undefined, 30], 58, 8), 20);
+  });
+
+
+  it('offsets items by measured or estimated sizes and gap', () => {
+
+    const list    = createList(VariableList);
+    const offsets = list.__computeOffsets(true, 3, [10, undefined, 30], 20, 1, 2);
+
+    assert.deepEqual(offsets, [0, 12, 34, 66]);
+    assert.equal(list.__computeOffsets(false, 3, [], 20, 1, 2), undefined);
+  });
+
+
+  it('finds the item at a scroll position', () => {
+
+    const list = createList(VariableList);
+
+    list._offsets = [0, 12, 34, 66];
+
+    assert.equal(list.__getVariableIndex(0),   0);
+    assert.equal(list.__getVariableIndex(11),  0);
+    assert.equal(list.__getVariableIndex(12),  1);
+    assert.equal(list.__getVariableIndex(40),  2);
+    assert.equal(list.__getVariableIndex(500), 2);
+    assert.equal(list.__getVariableFirstIndex(20), 1);
+  });
+
+
+  it('clamps item offsets to the list size', () => {
+
+    const list = createList(VariableList);
+
+    list._offsets = [0, 12, 34, 66];
+
+    assert.equal(list.__getVariableOffset(-1), 0);
+    assert.equal(list.__getVariableOffset(2),  34);
+    assert.equal(list.__getVariableOffset(9),  66);
+  });
+
+
+  it('keeps measured sizes by source index as views change', () => {
+
+    const items = ['a', 'b', 'c', 'd'];
+    const list  = createView(items, [0, 1, 2, 3]);
+
+    list.__variableItemsChanged();
+
+    list._sourceSizes[1] = 10;
+    list._sourceSizes[3] = 30;
+
+    // Filter to 'd' and 'b', in that order.
+    list.getSourceIndex = index => [3, 1][index];
+    list._items         = ['d', 'b'];
+
+    list.__variableItemsChanged();
+
+    assert.deepEqual(list._sizes, [30, 10]);
+  });
+
+
+  it('moves measured sizes with their items as items are spliced', () => {
+
+    const items = ['a', 'b', 'c'];
+    const list  = createView(items, [0, 1, 2]);
+
+    list.__variableItemsChanged();
+
+    list._sourceSizes = [10, 20, 30];
+
+    items.splice(0, 1, 'x', 'y');
+
+    list.getSourceIndex = index => index;
+    list._items         = items;
+
+    list.__variableItemsSpliced({
+      indexSplices: [{addedCount: 2, index: 0, removed: ['a']}]
+    });
+
+    assert.deepEqual(list._sizes, [undefined, undefined, 20, 30]);
+  });
+
+
+  it('discards measured sizes when items are replaced', () => {
+
+    const list = createView(['a', 'b'], [0, 1]);
+
+    list.__variableItemsChanged();
+
+    list._sourceSizes = [10, 20];
+
+    list.items  = ['a', 'b'];
+    list._items = list.items;
+
+    list.__variableItemsChanged();
+
+    assert.deepEqual(list._sizes, [undefined, undefined]);
+  });
+
+
+  it('measures containers again when reconnected', () => {
+
+    const containers = [createContainer(0), createContainer(1)];
+    const list       = createList(VariableList, {_containers: containers, _positioned: true});
+
+    FakeResizeObserver.observed = [];
+
+    list.connectedCallback();
+
+    assert.deepEqual(FakeResizeObserver.observed, containers);
+  });
+
+});
@@ -0,0 +1,169 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+
+import {SelectionMixin} from '../selection-mixin.js';
+import {ViewMixin}      from '../view-mixin.js';
+
+import {ListBase, createList} from './helpers.js';
+
+
+// Records scroll anchoring, which waits for the DOM.
+class ViewList extends SelectionMixin(ViewMixin(ListBase)) {
+
+  getScrollState() {
+
+    return this.state;
+  }
+
+
+  __keepViewAnchor(anchor) {
+
+    this.anchor = anchor;
+  }
+
+}
+
+
+const ITEMS = ['delta', 'alpha', 'echo', 'charlie', 'bravo'];
+
+const short   = item => item.length === 5;
+const byAlpha = (a, b) => a.localeCompare(b);
+
+
+const createView = (filter, sort) => {
+
+  const list = createList(ViewList, {
+    filter,
+    items:     ITEMS,
+    selection: 'multiple',
+    sort,
+    state:     {count: 0, index: 0, offset: 0},
+    _selected: new Set()
+  });
+
+  list.__updateView(ITEMS, filter, sort);
+
+  return list;
+};
+
+
+describe('ViewMixin', () => {
+
+  it('filters and sorts source indexes', () => {
+
+    const list = createList(ViewList);
+
+    assert.deepEqual(list.__computeViewIndexes(ITEMS, short),              [0, 1, 4]);
+    assert.deepEqual(list.__computeViewIndexes(ITEMS, undefined, byAlpha), [1, 4, 3, 0, 2]);
+    assert.deepEqual(list.__computeViewIndexes(ITEMS, short, byAlpha),     [1, 4, 0]);
+  });
+
+
+  it('keeps ties in source order', () => {
+
+    const list = createList(ViewList);
+
+    assert.deepEqual(list.__computeViewIndexes(ITEMS, undefined, (a, b) => a.length - b.length), [2, 0, 1, 4, 3]);
+  });
+
+
+  it('maps between displayed and source indexes', () => {
+
+    const list = createView(short, byAlpha);
+
+    assert.deepEqual(list._items, ['alpha', 'bravo', 'delta']);
+    assert.equal(list.getSourceIndex(1), 4);
+    assert.equal(list.getViewIndex(0),   2);
+    assert.equal(list.getViewIndex(2),   -1);
+  });
+
+
+  it('displays and links items directly without a view', () => {
+
+    const list = createView();
+
+    assert.equal(list._items, ITEMS);
+    assert.equal(list.getSourceIndex(3), 3);
+    assert.deepEqual(list.paths, ['link _items items']);
+
+    list.filter = short;
+    list.__updateView(ITEMS, short);
+
+    assert.deepEqual(list.paths, ['link _items items', 'unlink _items']);
+  });
+
+
+  it('forwards item changes to the displayed item', () => {
+
+    const list = createView(undefined, byAlpha);
+
+    list.__forwardViewPath({path: 'items.0.name', value: 'x'});
+    list.__forwardViewPath({path: 'items.1',      value: 'y'});
+    list.__forwardViewPath({path: 'items.length', value: 5});
+
+    assert.deepEqual(list.paths, ['notify _items.3.name x', 'set _items.0 y']);
+  });
+
+
+  it('rederives the view when items are spliced', () => {
+
+    const list  = createView(short);
+    const items = [...ITEMS, 'fox'];
+
+    list.items = items;
+    list.__viewItemsSpliced({indexSplices: []});
+
+    assert.deepEqual(list._items, ['delta', 'alpha', 'bravo']);
+    assert.equal(list._viewSource, items);
+  });
+
+
+  it('keeps the nearest displayed item in place as the view changes', () => {
+
+    const list = createView();
+
+    // 'echo' is at the top of the list.
+    list.state = {count: 5, index: 2, offset: -12};
+
+    list.__updateView(ITEMS, short);
+
+    // 'echo' is filtered out, so 'alpha' moves to the top.
+    assert.deepEqual(list.anchor, {distance: 1, index: 1, offset: 0});
+  });
+
+
+  it('does not anchor to items that were replaced or spliced', () => {
+
+    const list = createView();
+
+    list.state = {count: 5, index: 2, offset: 0};
+
+    list.__updateView([...ITEMS], short);
+
+    assert.equal(list.anchor, undefined);
+  });
+
+  it('selects by source index, so selections survive views', () => {
+
+    const list = createView();
+
+    list.select(2);
+    list.select(4);
+
+    list.__updateView(ITEMS, undefined, byAlpha);
+
+    assert.deepEqual(list.selectedItems, ['bravo', 'echo']);
+    assert.equal(list.isSelected(1), true);
+
+    list.select(0);
+    list.__selectedChanged(list._selected, new Set());
+
+    assert.deepEqual(list.events.at(-1).detail.value, {
+      indexes:       [0, 1, 4],
+      items:         ['alpha', 'bravo', 'echo'],
+      keys:          [2, 4, 1],
+      sourceIndexes: [1, 4, 2]
+    });
+  });
+
+});
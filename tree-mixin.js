@@ -0,0 +1,504 @@
+
+/**
+  * `TreeMixin`
+  *
+  *   Hierarchical data for `lite-list`, ie. folder trees and threaded comments.
+  *
+  *   Set 'tree' to an array of root nodes, instead of setting 'items'.
+  *   The nodes of expanded branches are flattened, depth first, into 'items',
+  *   so only the visible rows are virtualized, no matter how large the tree.
+  *
+  *   Expanding or collapsing a node splices its descendants in or out of
+  *   'items', and keeps the rows that are in view in place. Expanded state is
+  *   kept by key (see 'itemKey'), or by node identity when no key is provided,
+  *   so it survives collapsing ancestors. It only survives replacing 'tree'
+  *   with new data when 'itemKey' is set, since new nodes are new objects.
+  *
+  *   Each container exposes the depth of the node it displays as a '--depth'
+  *   CSS custom property, which slotted items inherit for indentation. Containers
+  *   also have 'tree'/'treeitem' ARIA semantics, and an 'expanded' attribute and
+  *   part while they display an expanded node.
+  *
+  *   Any slotted element with a 'tree-toggle' attribute expands or collapses
+  *   its row when clicked, without changing the selection. ArrowRight expands
+  *   the active node, or moves to its first child, and ArrowLeft collapses it,
+  *   or moves to its parent.
+  *
+  *   Rows are indexed by their displayed (view) index. When 'filter' or 'sort'
+  *   are set, descendants are still spliced in after their parent in 'items'.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    tree - Array - Root nodes. Sets 'items' to the flattened visible nodes.
+  *
+  *
+  *    treeChildren - String or Function - Default: 'children', The field name of
+  *                                        each node's children Array, or a Function
+  *                                        that is called with a node and returns them.
+  *
+  *
+  *
+  *  Methods:
+  *
+  *
+  *    expand(index), collapse(index), toggleExpanded(index), isExpanded(index)
+  *
+  *
+  *    getTreeNode(index) - Returns {depth, expandable, expanded, key} for a row.
+  *
+  *
+  *
+  *  Events:
+  *
+  *
+  *    'lite-list-expanded-changed', {value: {expanded, index, item, key, sourceIndex}}
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const TreeMixin = superClass => {
+
+  return class TreeMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Root nodes.
+        // Sets 'items' to the flattened visible nodes.
+        tree: Array,
+
+        // The field name of each node's children Array, or a
+        // Function that is called with a node and returns them.
+        treeChildren: {
+          type: Object,
+          value: 'children'
+        },
+
+        // Set of expanded node keys.
+        _expanded: {
+          type: Object,
+          value: () => (new Set())
+        },
+
+        // {depth, expandable, key, posinset, setsize} for each row in 'items'.
+        _treeNodes: Array
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__treeChanged(tree, treeChildren)',
+
+        // '_currentItems' only used as a synchronization trigger.
+        '__updateContainersTree(_treeNodes, _currentItems, _containers)'
+      ];
+    }
+
+
+    constructor() {
+
+      super();
+
+      this.__treeClickHandler = this.__treeClickHandler.bind(this);
+    }
+
+
+    connectedCallback() {
+
+      super.connectedCallback();
+
+      this.addEventListener('click', this.__treeClickHandler);
+    }
+
+
+    disconnectedCallback() {
+
+      super.disconnectedCallback();
+
+      this.removeEventListener('click', this.__treeClickHandler);
+    }
+
+
+    __getTreeChildren(node) {
+
+      const children = typeof this.treeChildren === 'function' ?
+                         this.treeChildren(node) :
+                         node?.[this.treeChildren];
+
+      return Array.isArray(children) ? children : [];
+    }
+
+    // Depth first, only descending into expanded nodes.
+    //
+    // 'start' is the index in 'items' of the first node.
+    __flattenTree(siblings, depth, start, accum = {items: [], nodes: []}) {
+
+      siblings.forEach((node, position) => {
+
+        const key      = this.__getItemId(node, start + accum.items.length);
+        const children = this.__getTreeChildren(node);
+
+        accum.items.push(node);
+        accum.nodes.push({
+          depth,
+          expandable: children.length > 0,
+          key,
+          posinset:   position + 1,
+          setsize:    siblings.length
+        });
+
+        if (children.length && this._expanded.has(key)) {
+
+          this.__flattenTree(children, depth + 1, start, accum);
+        }
+      });
+
+      return accum;
+    }
+
+
+    __treeChanged(tree) {
+
+      if (!tree) { return; }
+
+      const {items, nodes} = this.__flattenTree(tree, 0, 0);
+
+      this._treeNodes = nodes;
+      this.items      = items;
+    }
+
+    // Returns the index after the last descendant of the row.
+    __getDescendantsEnd(index) {
+
+      const {depth} = this._treeNodes[index];
+
+      let end = index + 1;
+
+      while (end < this._treeNodes.length && this._treeNodes[end].depth > depth) {
+        end++;
+      }
+
+      return end;
+    }
+
+    // Returns the index of the row's parent, or -1 for root nodes.
+    __getParentIndex(index) {
+
+      const {depth} = this._treeNodes[index];
+
+      for (let i = index - 1; i >= 0; i--) {
+
+        if (this._treeNodes[i].depth < depth) { return i; }
+      }
+
+      return -1;
+    }
+
+    // Splice rows in or out of 'items', while keeping
+    // the topmost visible row in place.
+    //
+    // 'start' is a source index.
+    async __spliceTree(start, count, items, nodes) {
+
+      const state = this.getScrollState();
+      const index = this.getSourceIndex(state.index);
+
+      // The topmost visible row is being collapsed.
+      const removed = index >= start && index < start + count;
+
+      // Update without notifying, so '_treeNodes'
+      // is in sync once the splice is observed.
+      this._treeNodes.splice(start, count, ...nodes);
+
+      this.splice('items', start, count, ...items);
+
+      // Rows after the topmost visible row do not affect the scroll
+      // position, unless sorted, and keyed rows are kept by 'ItemKeyMixin'.
+      if (
+        (start > index && !this.sort) ||
+        (this.itemKey && !removed)
+      ) {
+        return;
+      }
+
+      const target = this.getViewIndex(removed ? start - 1 : index + items.length - count);
+
+      // Filtered out of the view.
+      if (typeof target !== 'number' || target < 0) { return; }
+
+      await schedule(); // Wait for new rows to be stamped.
+
+      this.__scrollToIndex(target, 'start', 'instant');
+
+      if (state.offset && !removed) {
+        this.__shiftScroll(state.offset);
+      }
+
+      return this.__reposition();
+    }
+
+    // Views are updated by the splice, so
+    // the row is identified by source index.
+    __fireExpandedChanged(sourceIndex, expanded) {
+
+      this.fire('lite-list-expanded-changed', {
+        value: {
+          expanded,
+          index: this.getViewIndex(sourceIndex),
+          item:  this.items[sourceIndex],
+          key:   this._treeNodes[sourceIndex].key,
+          sourceIndex
+        }
+      });
+    }
+
+
+    __updateContainersTree(nodes, _, containers) {
+
+      if (!nodes || !containers?.length) { return; }
+
+      containers.forEach(container => {
+
+        const node     = nodes[this.getSourceIndex(container.virtualIndex)];
+        const expanded = Boolean(node?.expandable && this._expanded.has(node.key));
+
+        container.style.setProperty('--depth', node ? node.depth : 0);
+        container.toggleAttribute('expanded', expanded);
+        container.part.toggle('expanded', expanded);
+      });
+    }
+
+    // Tree semantics replace list semantics.
+    __updateHostAria(role, ...args) {
+
+      if (!this.tree) {
+
+        super.__updateHostAria(role, ...args);
+
+        return;
+      }
+
+      this.setAttribute('role', 'tree');
+    }
+
+
+    __updateContainersAria(role, currentItems, containers) {
+
+      if (!this.tree) {
+
+        super.__updateContainersAria(role, currentItems, containers);
+
+        return;
+      }
+
+      if (!this._treeNodes || !containers?.length) { return; }
+
+      containers.forEach(container => {
+
+        const node = this._treeNodes[this.getSourceIndex(container.virtualIndex)];
+
+        if (!node) { return; }
+
+        container.setAttribute('role',          'treeitem');
+        container.setAttribute('aria-level',    node.depth + 1);
+        container.setAttribute('aria-posinset', node.posinset);
+        container.setAttribute('aria-setsize',  node.setsize);
+
+        if (node.expandable) {
+          container.setAttribute('aria-expanded', this._expanded.has(node.key));
+        }
+        else {
+          container.removeAttribute('aria-expanded');
+        }
+      });
+    }
+
+    // ArrowRight moves to the first child of an expanded node.
+    // ArrowLeft moves to the parent of a collapsed node.
+    //
+    // Expanding and collapsing are handled by '__keydownHandler'.
+    __getNextIndex(key) {
+
+      if (!this.tree || (key !== 'ArrowRight' && key !== 'ArrowLeft')) {
+
+        return super.__getNextIndex(key);
+      }
+
+      const index  = this.activeIndex;
+      const source = this.getSourceIndex(index);
+      const node   = this._treeNodes?.[source];
+
+      if (!node) { return; }
+
+      const expanded = this.isExpanded(index);
+
+      if (key === 'ArrowRight') {
+
+        if (!expanded) { return index; }
+
+        const child = this.getViewIndex(source + 1);
+
+        return child >= 0 ? child : index;
+      }
+
+      if (expanded) { return index; }
+
+      const parent = this.__getParentIndex(source);
+      const view   = parent === -1 ? -1 : this.getViewIndex(parent);
+
+      return view === -1 ? index : view;
+    }
+
+    // ArrowRight expands a collapsed node, and
+    // ArrowLeft collapses an expanded node, in place.
+    __keydownHandler(event) {
+
+      const {key} = event;
+
+      if (
+        !this.tree                                    ||
+        (key !== 'ArrowRight' && key !== 'ArrowLeft') ||
+        !this.__isContainerKeydown(event)
+      ) {
+        return super.__keydownHandler(event);
+      }
+
+      const index    = this.activeIndex;
+      const node     = this._treeNodes?.[this.getSourceIndex(index)];
+      const expanded = this.isExpanded(index);
+
+      if (key === 'ArrowRight' && node?.expandable && !expanded) {
+
+        event.preventDefault();
+
+        this.expand(index);
+
+        return;
+      }
+
+      if (key === 'ArrowLeft' && expanded) {
+
+        event.preventDefault();
+
+        this.collapse(index);
+
+        return;
+      }
+
+      return super.__keydownHandler(event);
+    }
+
+    // Toggle clicks only expand or collapse their row.
+    __selectionClickHandler(event) {
+
+      if (this.__isToggleClick(event)) { return; }
+
+      super.__selectionClickHandler(event);
+    }
+
+
+    __isToggleClick(event) {
+
+      if (!this.tree) { return false; }
+
+      return event.composedPath().some(el => el.hasAttribute?.('tree-toggle'));
+    }
+
+
+    __treeClickHandler(event) {
+
+      if (!this.__isToggleClick(event)) { return; }
+
+      const container = event.composedPath().find(el => this._containers?.includes(el));
+      const index     = container?.virtualIndex;
+
+      if (typeof index !== 'number') { return; }
+
+      this.toggleExpanded(index);
+    }
+
+
+    isExpanded(index) {
+
+      const node = this._treeNodes?.[this.getSourceIndex(index)];
+
+      return Boolean(node?.expandable && this._expanded.has(node.key));
+    }
+
+
+    getTreeNode(index) {
+
+      const node = this._treeNodes?.[this.getSourceIndex(index)];
+
+      if (!node) { return; }
+
+      const {depth, expandable, key} = node;
+
+      return {depth, expandable, expanded: this.isExpanded(index), key};
+    }
+
+
+    expand(index) {
+
+      const source = this.getSourceIndex(index);
+      const node   = this._treeNodes?.[source];
+
+      if (!node?.expandable || this.isExpanded(index)) { return; }
+
+      this._expanded.add(node.key);
+
+      const children       = this.__getTreeChildren(this.items[source]);
+      const {items, nodes} = this.__flattenTree(children, node.depth + 1, source + 1);
+
+      this.__spliceTree(source + 1, 0, items, nodes);
+
+      this.__fireExpandedChanged(source, true);
+    }
+
+    // Descendants keep their expanded state, so
+    // they are restored when the node is expanded.
+    collapse(index) {
+
+      if (!this.isExpanded(index)) { return; }
+
+      const source = this.getSourceIndex(index);
+
+      this._expanded.delete(this._treeNodes[source].key);
+
+      const end = this.__getDescendantsEnd(source);
+
+      this.__spliceTree(source + 1, end - source - 1, [], []);
+
+      this.__fireExpandedChanged(source, false);
+    }
+
+
+    toggleExpanded(index) {
+
+      if (this.isExpanded(index)) {
+
+        this.collapse(index);
+      }
+      else {
+
+        this.expand(index);
+      }
+    }
+
+  };
+};
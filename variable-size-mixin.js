@@ -0,0 +1,441 @@
+
+/**
+  * `VariableSizeMixin`
+  *
+  *   Variable height/width item support for `lite-list`.
+  *
+  *   Each item is measured as it is rendered, and its size is cached by its
+  *   index in `items`, so filtered and sorted views keep measurements.
+  *   Items that have not yet been measured are estimated by the average
+  *   size of all measured items.
+  *
+  *   Containers are absolutely positioned according to the
+  *   cached/estimated offset of the item they currently display.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    variable - Boolean - Set to allow items with different heights
+  *                         ('vertical' layout) or widths ('horizontal' layout).
+  *
+  *                         Only one item per row/column is supported, and
+  *                         'infinite' is ignored in this mode.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {clamp} from '@longlost/app-core/lambda.js';
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+// Binary search for the index of the item
+// which occupies the given offset.
+const findIndex = (offsets, offset) => {
+
+  let low  = 0;
+  let high = offsets.length - 2; // Last entry is the total size.
+
+  if (high < 0) { return 0; }
+
+  while (low < high) {
+
+    const mid = Math.ceil((low + high) / 2);
+
+    if (offsets[mid] <= offset) {
+      low = mid;
+    }
+    else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
+};
+
+
+export const VariableSizeMixin = superClass => {
+
+  return class VariableSizeMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Set to allow items with different heights ('vertical' layout)
+        // or widths ('horizontal' layout).
+        variable: {
+          type: Boolean,
+          value: false,
+          reflectToAttribute: true
+        },
+
+        // Containers are absolutely positioned by item offsets,
+        // rather than by the grid. Also used by 'masonry' layouts.
+        _positioned: {
+          type: Boolean,
+          computed: '__computePositioned(variable, layout)'
+        },
+
+        // Average size of all measured items.
+        // Used in place of unmeasured item sizes.
+        _estimatedSize: {
+          type: Number,
+          computed: '__computeEstimatedSize(_sizes, _sampleSize, gap)'
+        },
+
+        // The starting position of each item, relative to the start of the list.
+        // The last entry is the total size of the list.
+        _offsets: {
+          type: Array,
+          computed: '__computeOffsets(_positioned, _items.length, _sizes, _estimatedSize, _containersPer, gap)'
+        },
+
+        // Measured item sizes, in display order.
+        _sizes: {
+          type: Array,
+          value: () => ([])
+        },
+
+        // ResizeObserver instance that measures every container.
+        _sizesObserver: Object,
+
+        // The 'items' array that '_sourceSizes' were measured from.
+        _sizesSource: Array,
+
+        // Measured item sizes, cached by source index, so
+        // they survive 'filter' and 'sort' views of 'items'.
+        _sourceSizes: {
+          type: Array,
+          value: () => ([])
+        }
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__variableContainersChanged(_positioned, _containers)',
+        '__variableItemsChanged(_items)',
+        '__variableItemsSpliced(items.splices)',
+        '__variableLayoutChanged(layout)',
+        '__variableOffsetsChanged(_offsets)',
+        '__updateVariableStart(_positioned, _virtualIndex, _containerCount, _items.length)'
+      ];
+    }
+
+
+    connectedCallback() {
+
+      super.connectedCallback();
+
+      // Measure again after being moved in the DOM.
+      this.__variableContainersChanged(this._positioned, this._containers);
+    }
+
+
+    disconnectedCallback() {
+
+      super.disconnectedCallback();
+
+      this.__cleanUpSizesObserver();
+    }
+
+    // Only one item per row/column is supported.
+    __computeContainersPer(layout, hostBbox, sampleBbox, columnCount, gap, variable) {
+
+      if (variable) { return 1; }
+
+      return super.__computeContainersPer(layout, hostBbox, sampleBbox, columnCount, gap);
+    }
+
+
+    __computePositioned(variable, layout) {
+
+      return variable || layout === 'masonry';
+    }
+
+
+    __computeEstimatedSize(sizes, sampleSize, gap = 0) {
+
+      const measured = sizes ? sizes.filter(size => typeof size === 'number') : [];
+
+      // The sample size includes 'gap'.
+      if (!measured.length) { return sampleSize && sampleSize - gap; }
+
+      const total = measured.reduce((sum, size) => sum + size, 0);
+
+      return total / measured.length;
+    }
+
+
+    __computeOffsets(positioned, length, sizes, estimated, per, gap = 0) {
+
+      if (!positioned || typeof length !== 'number' || !estimated) { return; }
+
+      const offsets = Array(length + 1);
+
+      offsets[0] = 0;
+
+      for (let i = 0; i < length; i++) {
+
+        const size = typeof sizes?.[i] === 'number' ? sizes[i] : estimated;
+
+        offsets[i + 1] = offsets[i] + size + gap;
+      }
+
+      return offsets;
+    }
+
+
+    __cleanUpSizesObserver() {
+
+      if (this._sizesObserver) {
+        this._sizesObserver.disconnect();
+        this._sizesObserver = undefined;
+      }
+    }
+
+    // Measure each container as it is rendered and cache its
+    // size according to the item it is currently displaying.
+    __variableContainersChanged(positioned, containers) {
+
+      this.__cleanUpSizesObserver();
+
+      if (!positioned || !containers?.length) { return; }
+
+      this._sizesObserver = new window.ResizeObserver(entries => {
+
+        const sizes = [...this._sizes];
+        let shift   = 0;
+        let changed = false;
+
+        entries.forEach(entry => {
+
+          const {target}  = entry;
+          const index     = target.virtualIndex;
+          const size      = target.getBoundingClientRect()[this._dimension];
+
+          // Ignore updates for unstamped elements.
+          if (typeof index !== 'number' || !size || sizes[index] === size) { return; }
+
+          // Items above/before the current position that change
+          // size must not cause the visible items to jump.
+          //
+          // Not possible for 'masonry' layouts, since a change
+          // in size may move any of the subsequent items.
+          if (index < this._virtualIndex && this.layout !== 'masonry') {
+
+            shift += size - (typeof sizes[index] === 'number' ? sizes[index] : this._estimatedSize);
+          }
+
+          sizes[index] = size;
+          changed      = true;
+
+          this._sourceSizes[this.getSourceIndex(index)] = size;
+
+          if (!this._smallestSize || size < this._smallestSize) {
+            this._smallestSize = size;
+          }
+        });
+
+        if (!changed) { return; }
+
+        this._sizes = sizes;
+
+        if (shift) {
+          this.__shiftScroll(shift);
+        }
+      });
+
+      containers.forEach(el => {
+        this._sizesObserver.observe(el);
+      });
+    }
+
+    // Measurements are no longer valid once the data is replaced.
+    //
+    // Filtered and sorted views of the same data keep
+    // them, by source index. See 'ViewMixin'.
+    __variableItemsChanged() {
+
+      if (this.items !== this._sizesSource) {
+
+        this._sizesSource  = this.items;
+        this._sourceSizes  = [];
+        this._smallestSize = undefined;
+      }
+
+      this.__projectSizes();
+    }
+
+    // Keep cached sizes with their items as items are added or removed.
+    __variableItemsSpliced(splices) {
+
+      if (!splices?.indexSplices) { return; }
+
+      splices.indexSplices.forEach(({addedCount, index, removed}) => {
+        this._sourceSizes.splice(index, removed.length, ...Array(addedCount));
+      });
+
+      this.__projectSizes();
+    }
+
+    // Sizes are measured along the scroll axis, so reset them.
+    __variableLayoutChanged() {
+
+      this._sourceSizes  = [];
+      this._sizes        = [];
+      this._smallestSize = undefined;
+    }
+
+    // Arrange cached sizes in display order.
+    __projectSizes() {
+
+      const items = this._items || [];
+
+      this._sizes = items.map((_, index) =>
+                      this._sourceSizes[this.getSourceIndex(index)]);
+    }
+
+
+    __variableOffsetsChanged(offsets) {
+
+      if (!offsets) { return; }
+
+      const size = `${offsets.at(-1)}px`;
+
+      // Size the host's ::before psuedo element to the
+      // total size of the list so the scroller is accurate.
+      if (this.layout !== 'horizontal') {
+
+        this.updateStyles({
+          '--before-height': size,
+          '--before-width':  'unset'
+        });
+      }
+      else {
+
+        this.updateStyles({
+          '--before-height': 'unset',
+          '--before-width':  size
+        });
+      }
+
+      this.__placeVariableContainers();
+    }
+
+    // Keep a buffer of containers before and after the
+    // topmost/leftmost visible item.
+    __updateVariableStart(positioned, virtualIndex, count, length) {
+
+      if (!positioned || typeof virtualIndex !== 'number' || !count || !length) { return; }
+
+      const buffer = Math.floor(count / 3);
+      const start  = clamp(0, Math.max(0, length - count), virtualIndex - buffer);
+
+      if (start !== this._virtualStart) {
+
+        this._virtualStart = start;
+      }
+    }
+
+    // Returns the index of the item at the given scroll position.
+    __getVariableIndex(scroll) {
+
+      if (!this._offsets) { return 0; }
+
+      return findIndex(this._offsets, scroll - this.__getListStart());
+    }
+
+    // Returns the index of the first item that is 
+    // visible at the given scroll position.
+    __getVariableFirstIndex(scroll) {
+
+      return this.__getVariableIndex(scroll);
+    }
+
+    // Returns the distance from the start of the list to the item.
+    __getVariableOffset(index) {
+
+      if (!this._offsets) { return 0; }
+
+      const clamped = clamp(0, this._offsets.length - 1, index);
+
+      return this._offsets[clamped];
+    }
+
+    // Returns the measured or estimated size of the item.
+    __getVariableSize(index) {
+
+      const size = this._sizes[index];
+
+      return typeof size === 'number' ? size : this._estimatedSize;
+    }
+
+    // Arrange data according to container order, which is
+    // a stable mapping of item index to container index.
+    //
+    // This way, items that remain in the buffer do not
+    // need to be re-rendered into a different container.
+    __mapVariableItems(data) {
+
+      const count = this._containers?.length;
+
+      if (!count || data.length !== count) { return; }
+
+      const start = this._start;
+
+      const items = data.reduce((accum, item, index) => {
+
+        const virtualIndex   = start + index;
+        const containerIndex = virtualIndex % count;
+
+        this._containers[containerIndex].virtualIndex = virtualIndex;
+
+        accum[containerIndex] = item;
+
+        return accum;
+      }, []);
+
+      this.__placeVariableContainers();
+
+      return items;
+    }
+
+
+    __placeVariableContainers() {
+
+      if (!this._positioned || !this._offsets || !this._containers) { return; }
+
+      this._containers.forEach(container => {
+
+        const {virtualIndex} = container;
+
+        if (typeof virtualIndex !== 'number') { return; }
+
+        this.__move(container, this.__getVariableOffset(virtualIndex));
+      });
+    }
+
+    // Correct for programmic scrolling.
+    async __repositionVariable() {
+
+      await schedule();
+
+      this._scroll = this.__getCurrentScroll();
+
+      this.__placeVariableContainers();
+    }
+
+  };
+};
@@ -0,0 +1,305 @@
+
+/**
+  * `ViewMixin`
+  *
+  *   Filtered and sorted views over `lite-list` 'items'.
+  *
+  *   Rather than rebuilding 'items' each time a search term or sort order
+  *   changes, set 'filter' and/or 'sort'. The list displays a derived view,
+  *   which maps each displayed (view) index to its index in the original
+  *   'items' (source index). 'items' itself is never modified.
+  *
+  *   All indexes used by `lite-list` methods, properties and callbacks are
+  *   view indexes. Events that include item indexes also include their
+  *   source indexes. Use 'getSourceIndex' and 'getViewIndex' to convert.
+  *
+  *   The view is only derived again when 'items' is replaced or spliced,
+  *   or when 'filter' or 'sort' change. Item property changes, such as
+  *   'items.3.name', are forwarded to the displayed item, without
+  *   filtering or sorting again.
+  *
+  *   When the view changes, the list stays anchored to the topmost/leftmost
+  *   visible item, or to the nearest item that is still displayed, if it
+  *   has been filtered out.
+  *
+  *
+  *
+  *  Properites:
+  *
+  *
+  *    filter - Function - Called with each item and its source index.
+  *                        Return true to display the item.
+  *
+  *
+  *    sort - Function - Compare function, called with two items.
+  *                      Same as 'Array.prototype.sort'. Items that
+  *                      compare equally remain in source order.
+  *
+  *
+  *
+  *  Methods:
+  *
+  *
+  *    getSourceIndex(index) - Returns the index in 'items' of a displayed item.
+  *
+  *
+  *    getViewIndex(sourceIndex) - Returns the displayed index of an item in 'items',
+  *                                or -1 when it has been filtered out.
+  *
+  *
+  *
+  * @customElement
+  * @polymer
+  * @demo demo/index.html
+  *
+  **/
+
+
+import {schedule} from '@longlost/app-core/utils.js';
+
+
+export const ViewMixin = superClass => {
+
+  return class ViewMixin extends superClass {
+
+
+    static get properties() {
+      return {
+
+        // Called with each item and its source index.
+        // Return true to display the item.
+        filter: Object,
+
+        // Compare function, called with two items.
+        sort: Object,
+
+        // The displayed items, in display order.
+        // The same array as 'items' when there is no view.
+        _items: Array,
+
+        // The source index of each displayed item,
+        // or undefined when there is no view.
+        _viewIndexes: Array,
+
+        // The displayed index of each item in 'items',
+        // or -1 when filtered out. Undefined when there is no view.
+        _viewOf: Array,
+
+        // Set while '_items' receives path notifications from 'items'.
+        _viewLinked: Boolean,
+
+        // The 'items' array that the current view was derived from.
+        _viewSource: Array
+
+      };
+    }
+
+
+    static get observers() {
+      return [
+        '__updateView(items, filter, sort)',
+        '__viewItemsSpliced(items.splices)',
+        '__forwardViewPath(items.*)'
+      ];
+    }
+
+    // Returns the displayed index and scroll offset of the nearest
+    // item to the previous anchor that is displayed in the new view.
+    __getViewAnchor(state, previousIndexes, viewOf) {
+
+      const {count}  = state;
+      const sourceOf = index => previousIndexes ? previousIndexes[index] : index;
+      const viewAt   = index => viewOf ? viewOf[sourceOf(index)] : sourceOf(index);
+
+      for (let distance = 0; distance < count; distance++) {
+
+        const candidates = [state.index + distance, state.index - distance].
+                             filter(index => index >= 0 && index < count);
+
+        const index = candidates.map(viewAt).find(index => index >= 0);
+
+        if (typeof index === 'number') {
+
+          // Only the same item keeps its offset.
+          return {distance, index, offset: distance === 0 ? state.offset : 0};
+        }
+      }
+    }
+
+
+    async __keepViewAnchor(anchor) {
+
+      await schedule(); // Wait for the new view to be stamped.
+
+      this.__scrollToIndex(anchor.index, 'start', 'instant');
+
+      if (anchor.offset) {
+        this.__shiftScroll(anchor.offset);
+      }
+
+      return this.__reposition();
+    }
+
+
+    __linkView(items) {
+
+      this._viewIndexes = undefined;
+      this._viewOf      = undefined;
+      this._viewSource  = items;
+
+      // Route splices and item property
+      // changes from 'items' to '_items'.
+      if (!this._viewLinked) {
+
+        this.linkPaths('_items', 'items');
+
+        this._viewLinked = true;
+      }
+
+      this._items = items;
+    }
+
+    // Returns source indexes, in display order.
+    __computeViewIndexes(items, filter, sort) {
+
+      const indexes = items.
+                        map((_, index) => index).
+                        filter(index => typeof filter !== 'function' || filter(items[index], index));
+
+      // 'Array.prototype.sort' is stable, so ties remain in source order.
+      if (typeof sort === 'function') {
+
+        indexes.sort((a, b) => sort(items[a], items[b]));
+      }
+
+      return indexes;
+    }
+
+
+    __updateView(items, filter, sort) {
+
+      this.__deriveView(items, filter, sort, false);
+    }
+
+
+    __viewItemsSpliced(splices) {
+
+      if (!splices) { return; }
+
+      this.__deriveView(this.items, this.filter, this.sort, true);
+    }
+
+    // Linked views receive item property changes through 'linkPaths'.
+    // Otherwise, forward them to the displayed item, ie. from 
+    // 'items.3.name' to '_items.<view index>.name'.
+    __forwardViewPath(changeRecord) {
+
+      if (this._viewLinked || !this._viewOf || !changeRecord) { return; }
+
+      const {path, value} = changeRecord;
+
+      const [root, source, ...rest] = path.split('.');
+
+      if (
+        root !== 'items'      ||
+        source === undefined  ||
+        source === 'splices'  ||
+        source === 'length'
+      ) {
+        return;
+      }
+
+      const index = this._viewOf[Number(source)];
+
+      // Filtered out.
+      if (typeof index !== 'number' || index < 0) { return; }
+
+      // The item itself was replaced.
+      if (!rest.length) {
+
+        this.set(`_items.${index}`, value);
+
+        return;
+      }
+
+      this.notifyPath(`_items.${index}.${rest.join('.')}`, value);
+    }
+
+    // 'spliced' is set when items were added or removed.
+    __deriveView(items, filter, sort, spliced) {
+
+      const hasView = typeof filter === 'function' || typeof sort === 'function';
+
+      const previousIndexes = this._viewIndexes;
+
+      // Nothing to derive.
+      if (!Array.isArray(items) || (!hasView && !previousIndexes)) {
+
+        if (!hasView && this._items !== items) {
+
+          this.__linkView(items);
+        }
+
+        return;
+      }
+
+      // Source indexes are only comparable across
+      // views of the same, unspliced, 'items'.
+      const sameSource = (
+        Boolean(this._items?.length) &&
+        items === this._viewSource   &&
+        !spliced
+      );
+
+      const state = sameSource ? this.getScrollState() : undefined;
+
+      if (hasView) {
+
+        if (this._viewLinked) {
+
+          this.unlinkPaths('_items');
+
+          this._viewLinked = false;
+        }
+
+        const indexes = this.__computeViewIndexes(items, filter, sort);
+        const viewOf  = Array(items.length).fill(-1);
+
+        indexes.forEach((source, index) => {
+          viewOf[source] = index;
+        });
+
+        this._viewIndexes = indexes;
+        this._viewOf      = viewOf;
+        this._viewSource  = items;
+        this._items       = indexes.map(index => items[index]);
+      }
+      else {
+
+        this.__linkView(items);
+      }
+
+      if (!state) { return; }
+
+      const anchor = this.__getViewAnchor(state, previousIndexes, this._viewOf);
+
+      // Surviving keyed items are kept in place by 'ItemKeyMixin'.
+      if (!anchor || (this.itemKey && anchor.distance === 0)) { return; }
+
+      this.__keepViewAnchor(anchor);
+    }
+
+
+    getSourceIndex(index) {
+
+      return this._viewIndexes ? this._viewIndexes[index] : index;
+    }
+
+
+    getViewIndex(sourceIndex) {
+
+      return this._viewOf ? this._viewOf[sourceIndex] : sourceIndex;
+    }
+
+  };
+};